@@ -59,10 +59,11 @@ var USE_SANITATION = (RegX.USE_SANITATION === false ? false : true),
 USE_BETTER_VALIDATION = (RegX.USE_BETTER_VALIDATION === false ? false : true),
 
 /**
-* __*NOT YET IMPLEMENTED!!!!!*__
 * For use in conjunction with a server side validation method.
 * Instead of using JavaScript to validate on every form submission, we'll perform an ajax call to validate on the server.
-* The server should return a valid RegX error object.
+* The form is serialized and POSTed to SERVER_VALIDATION_URL, and the server should return a valid RegX ERRORS array as JSON (an empty array when the form is valid).
+* That array is passed to RegX.onFailure or RegX.onSuccess, and the form is submitted once the callback doesn't return false.
+* __If the server can't be reached, times out or doesn't answer with an ERRORS array, RegX falls back to validating the form locally.__
 *
 * @attribute USE_SERVER_VALIDATION
 * @beta
@@ -78,6 +79,149 @@ USE_BETTER_VALIDATION = (RegX.USE_BETTER_VALIDATION === false ? false : true),
 */
 USE_SERVER_VALIDATION = (RegX.USE_SERVER_VALIDATION === true ? true : false),
 
+/**
+* The endpoint forms are POSTed to when USE_SERVER_VALIDATION is true.
+* A form can use its own endpoint by setting the data-regx-server attribute. If neither is set, the form's action is used.
+*
+* @attribute SERVER_VALIDATION_URL
+* @optional
+* @private
+* @default null
+* @since 1.0
+* @type {String}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {USE_SERVER_VALIDATION: true, SERVER_VALIDATION_URL: '/validate'};
+		<script src="RegX.js"></script>
+*/
+SERVER_VALIDATION_URL = (typeof RegX.SERVER_VALIDATION_URL === 'string' ? RegX.SERVER_VALIDATION_URL : null),
+
+/**
+* The amount of milliseconds to wait on the server before falling back to validating the form locally. Requests for the patterns file of RegX.loadPatterns are given up on after it as well.
+*
+* @attribute SERVER_VALIDATION_TIMEOUT
+* @optional
+* @private
+* @default 10000
+* @since 1.0
+* @type {Number}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {USE_SERVER_VALIDATION: true, SERVER_VALIDATION_TIMEOUT: 5000};
+		<script src="RegX.js"></script>
+*/
+SERVER_VALIDATION_TIMEOUT = (RegX.SERVER_VALIDATION_TIMEOUT > 0 ? RegX.SERVER_VALIDATION_TIMEOUT : 10000),
+
+/**
+* The amount of milliseconds to wait on an asynchronous validator, see RegX.addAsyncValidator. A check that takes longer is aborted and handled like a validator that failed, leaving the field invalid with an asyncError error.
+*
+* @attribute ASYNC_VALIDATION_TIMEOUT
+* @optional
+* @private
+* @default 10000
+* @since 1.0
+* @type {Number}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {ASYNC_VALIDATION_TIMEOUT: 5000};
+		<script src="RegX.js"></script>
+*/
+ASYNC_VALIDATION_TIMEOUT = (RegX.ASYNC_VALIDATION_TIMEOUT > 0 ? RegX.ASYNC_VALIDATION_TIMEOUT : 10000),
+
+/**
+* The location of a patterns file (regx.patterns.xml or a JSON equivalent) to load named patterns from when RegX.init is first called.
+* Fields reference the named patterns with the data-regx-pattern attribute. See RegX.addPatterns for the file format.
+*
+* @attribute PATTERNS_URL
+* @optional
+* @private
+* @default null
+* @since 1.0
+* @type {String}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {PATTERNS_URL: '/regx.patterns.xml'};
+		<script src="RegX.js"></script>
+*/
+PATTERNS_URL = (typeof RegX.PATTERNS_URL === 'string' ? RegX.PATTERNS_URL : null),
+
+/**
+* Validates fields while the user fills in the form, instead of only when it is submitted. Each field that is validated is passed to RegX.onFieldValid or RegX.onFieldInvalid.
+* The modes are "blur" (when the field loses focus), "change" (when its value is committed), "input" (while typing, debounced) and "submit" (while typing, but only after the form was submitted once).
+* Forms and fields can set their own mode with the data-regx-live attribute, which overrides this setting. Set data-regx-live="off" to opt a form or field out.
+* The debounce of the "input" and "submit" modes can be changed with the data-regx-debounce attribute, in milliseconds.
+*
+* @attribute LIVE_VALIDATION
+* @optional
+* @private
+* @default null
+* @since 1.0
+* @type {String}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {LIVE_VALIDATION: 'blur'};
+		<script src="RegX.js"></script>
+
+	@example
+		<form data-regx-live="submit">
+			<input type="email" name="email" data-regx-live="input" data-regx-debounce="500">
+		</form>
+*/
+LIVE_VALIDATION = (typeof RegX.LIVE_VALIDATION === 'string' ? RegX.LIVE_VALIDATION.toLowerCase() : null),
+
+/**
+* Shows the error messages in the form for you, using RegX.renderer. Each message is placed next to its field, and a summary linking to the fields is placed at the top of the form.
+* The messages are rendered when the form is submitted and, with LIVE_VALIDATION, whenever a field is validated. They are cleared as soon as their field is valid.
+* Forms can opt in or out on their own with the data-regx-render attribute ("true" or "false").
+*
+* @attribute USE_INLINE_ERRORS
+* @optional
+* @private
+* @default false
+* @since 1.0
+* @type {Boolean}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {USE_INLINE_ERRORS: true};
+		<script src="RegX.js"></script>
+*/
+USE_INLINE_ERRORS = (RegX.USE_INLINE_ERRORS === true ? true : false),
+
+/**
+* The locale of the built-in error messages, e.g. "fr" or "pt-BR". When it isn't set, the lang attribute of the html element is used, then "en".
+* Messages of locales other than "en" have to be registered with RegX.addMessages. Missing messages fall back to the language ("pt" for "pt-BR"), then to "en".
+* The locale can be changed later on with RegX.setLocale.
+*
+* @attribute LOCALE
+* @optional
+* @private
+* @default null
+* @since 1.0
+* @type {String}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {LOCALE: 'fr'};
+		<script src="RegX.js"></script>
+*/
+LOCALE = (typeof RegX.LOCALE === 'string' && RegX.LOCALE !== '' ? RegX.LOCALE : null),
+
+/**
+* Watches the document for forms that are added or removed, e.g. by AJAX or when a single page application changes routes. Added forms get the validity properties of browsers without a Constraint Validation API, and the live validation and asynchronous validators of removed forms are stopped.
+* Added forms are validated without it, as their events are handled by the document; browsers without a Constraint Validation API need it, or another call to RegX.init, for the validity properties. It needs a browser with MutationObserver.
+*
+* @attribute USE_OBSERVER
+* @optional
+* @private
+* @default false
+* @since 1.0
+* @type {Boolean}
+	@example
+		//This setting should be passed in prior to loading the .js file.
+		var RegX = {USE_OBSERVER: true};
+		<script src="RegX.js"></script>
+*/
+USE_OBSERVER = (RegX.USE_OBSERVER === true ? true : false),
+
 /**
 * This array contains all field objects that pertain to fields in error from the last form submission and is passed to the RegX.onFailure callback method. __The ERRRORS array is only accessible inside of the callback.__
 * 
@@ -90,7 +234,7 @@ USE_SERVER_VALIDATION = (RegX.USE_SERVER_VALIDATION === true ? true : false),
 * @since 1.0
 * @type {Array}
 	@example
-		//Example ERRORS return object.
+		//Example ERRORS return object. Error objects can also have error_params and error_values, see RegX.validatePayload.
 	  [
 			{
 				"name" : "name",
@@ -107,8 +251,28 @@ USE_SERVER_VALIDATION = (RegX.USE_SERVER_VALIDATION === true ? true : false),
 		]
 */
 ERRORS = [],
-//Boolean value for btns with the formnovalidate attribute.
-isFormnovalidate = false;
+//Named patterns, keyed by name, registered through RegX.addPattern.
+PATTERNS = {},
+//Boolean value for whether PATTERNS_URL has been requested.
+isPatternsRequested = false,
+//Number of patterns files that are loading, and the functions waiting on them.
+patternsLoading = 0,
+patternsCallbacks = [],
+//Asynchronous validators, keyed by name, registered through RegX.addAsyncValidator.
+ASYNC_VALIDATORS = {},
+//Custom input types, keyed by type, holding the name of their validator. Registered through RegX.addType.
+TYPES = {},
+//Counter for the ids RegX gives elements.
+uid = 0,
+//The RegX.create instance whose settings RegX is running with, null for the global settings.
+current = null,
+//The MutationObserver of USE_OBSERVER.
+observer = null,
+//Boolean value for whether the document listeners are bound.
+isListening = false,
+//window.onload before RegX wrapped it, and the function RegX wrapped it in, so RegX.destroy can put it back.
+previousOnload = null,
+wrappedOnload = null;
 
 /**
 * Boolean check if there are errors in the last submitted form.
@@ -121,15 +285,21 @@ RegX.isError = false;
 
 /**
 * On success callback method. Either this function or "onFailure" are called on form submission, depending on the results of field validity.
-* __This callback is passed one argument, which is the event object.__
+* __This callback is passed two arguments, the first is the event object and the second maps the names of the form's telephone inputs to their numbers in E.164 format.__
 * __Handling the onsubmit event is taken care of for you. If you want to stop the form from submitting, simply return false.__
 *
 * You should redefine to fit your purpose:
 @example
-		RegX.onSuccess = function(e){
+		RegX.onSuccess = function(e, tel){
 			alert('No problems');
 			return; //Return's to the submission function which prevents the dom event if you return false.
 		};
+
+@example
+		//Send the phone number on in a normalized form.
+		RegX.onSuccess = function(e, tel){
+			document.getElementById('phone-e164').value = tel.phone || '';
+		};
 *
 * @event onSuccess
 */
@@ -137,7 +307,7 @@ RegX.onSuccess = function(){};
 
 /**
 * On failure callback method. Either this function or "onSuccess" are called on form submission, depending on the results of field validity.
-* __This callback is passed two arguments, the first is the event object and the second is the ERRORS array filled with field objects.__
+* __This callback is passed three arguments, the first is the event object, the second is the ERRORS array filled with field objects and the third maps the names of the form's valid telephone inputs to their numbers in E.164 format.__
 * __Handling the onsubmit event is taken care of for you. If you want to stop the form from submitting, simply return false.__
 *
 * You should redefine to fit your purpose:
@@ -155,9 +325,161 @@ RegX.onSuccess = function(){};
 RegX.onFailure = function(){};
 
 /**
-* This function loops through each form and binds methods to the submit event. It also loops through the submit buttons and binds click events to those.
+* Live validation callback method, called when a field is found valid while the user fills in the form. See LIVE_VALIDATION.
+* __This callback is passed one argument, which is the field.__
+*
+* You should redefine to fit your purpose:
+@example
+		RegX.onFieldValid = function($elem){
+			$elem.className = $elem.className.replace(/\s*invalid/g, '');
+		};
+*
+* @event onFieldValid
+*/
+RegX.onFieldValid = function(){};
+
+/**
+* Live validation callback method, called when a field is found invalid while the user fills in the form. See LIVE_VALIDATION.
+* __This callback is passed two arguments, the first is the field and the second is its error object.__
+*
+* You should redefine to fit your purpose:
+@example
+		RegX.onFieldInvalid = function($elem, error){
+			$elem.className += ' invalid';
+			$elem.title = error.error_msg;
+		};
+*
+* @event onFieldInvalid
+*/
+RegX.onFieldInvalid = function(){};
+
+/**
+* The classes and templates used to render error messages when USE_INLINE_ERRORS is true, or when calling RegX.renderErrors.
+* Templates return text, which is escaped for you. Set html to true if your templates return HTML, and make sure to escape the values you put in.
+*
+* You can redefine any of its properties to theme the messages:
+@example
+		RegX.renderer.errorClass = 'has-error';
+		RegX.renderer.message = function(error, $elem){
+			return error.msg || error.error_msg;
+		};
+		RegX.renderer.summaryTitle = 'Please fix these fields:';
+*
+* @property renderer
+* @type {Object}
+*/
+RegX.renderer = {
+	//Class toggled on fields in error
+	errorClass: 'regx-invalid',
+	//Class toggled on fields that are valid
+	validClass: 'regx-valid',
+	//Class of the message placed after a field
+	messageClass: 'regx-error',
+	//Class of the summary placed at the top of the form
+	summaryClass: 'regx-summary',
+	//Class toggled on fields while their asynchronous validator is running
+	pendingClass: 'regx-pending',
+	//Class of the challenge the built-in captcha provider places before its field
+	captchaClass: 'regx-captcha',
+	//Title of the summary
+	summaryTitle: 'Please correct the following errors:',
+	//Whether the templates return HTML instead of text
+	html: false,
+	//Template of the message placed after a field
+	message: function(error){
+		return error.msg || error.error_msg;
+	},
+	//Template of a summary item, linking to the field
+	summaryItem: function(error){
+		return error.msg || error.error_msg;
+	}
+};
+
+/**
+* This function renders the errors of a form using RegX.renderer. It is called for you when USE_INLINE_ERRORS is true.
+* Fields without an error in the array have their messages cleared, so passing an empty array clears the whole form.
+*
+@example
+    RegX.onFailure = function(e, ERR){
+        RegX.renderErrors(document.getElementById('FORM_ID'), ERR);
+        return false;
+    };
+*
+* @method renderErrors
+* @param $form {jQuery or DOM Element} The form to render the errors in.
+* @param errors {Array} The ERRORS array.
+*/
+RegX.renderErrors = function($form, errors) {
+	var byName = {},
+		names = [],
+		items = [],
+		i;
+	
+	if($form.selector !== undefined){ $form = $form[0]; }
+	if(!(errors instanceof Array)){ errors = []; }
+	for(i = 0; i < errors.length; i++){ byName[errors[i].name] = errors[i]; }
+	
+	//Walk the fields in DOM order, so the summary follows the form.
+	for(i = 0; i < $form.elements.length; i++){
+		if(!$form.elements[i].name || indexOf(names, $form.elements[i].name) > -1){ continue; }
+		//Buttons and fields barred from validation, e.g. disabled ones, are neither valid nor invalid.
+		if(!isValidatable($form.elements[i])){
+			clearField($form.elements[i]);
+			continue;
+		}
+		names.push($form.elements[i].name);
+		
+		renderField($form.elements[i], (byName.hasOwnProperty($form.elements[i].name) ? byName[$form.elements[i].name] : null));
+		//The summary links to the first field of the group that can take the focus.
+		if(byName.hasOwnProperty($form.elements[i].name)){ items.push({error: byName[$form.elements[i].name], $elem: $form.elements[i]}); }
+	}
+	renderSummary($form, items);
+};
+
+/**
+* The transport used to send forms to the server when USE_SERVER_VALIDATION is true. By default, this is an XMLHttpRequest.
+* __This method is passed two arguments, the request object ({method, url, body, timeout}) and a callback.__
+* Call the callback with an error (or null) and the response, which may be the JSON text or the ERRORS array itself. If you return a function, it is called to abort the request when it times out.
+* The default transport gives up on its own after the timeout of the request, in milliseconds. RegX stops waiting after it either way.
+*
+* You can redefine it to use your own ajax library or to test against a local stub:
+@example
+		RegX.transport = function(request, callback){
+			callback(null, '[{"name": "username", "type": "text", "value": "admin", "msg": "", "error": "customError", "error_msg": "This username is taken."}]');
+		};
+*
+* @method transport
+* @param request {Object} The method, url, urlencoded body and timeout of the request.
+* @param callback {Function} Called with an error (or null) and the response.
+* @return {Function} Optionally returns a function that aborts the request.
+*/
+RegX.transport = function(request, callback) {
+	var xhr = (window.XMLHttpRequest ? new XMLHttpRequest() : new ActiveXObject('Microsoft.XMLHTTP'));
+
+	xhr.open(request.method, request.url, true);
+	//Requests that time out end with a status of 0, which is handled as an error.
+	if(request.timeout > 0){ xhr.timeout = request.timeout; }
+	xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+	xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
+	xhr.onreadystatechange = function(){
+		if(xhr.readyState !== 4){ return; }
+		//422 Unprocessable Entity is a common way of answering with errors.
+		if((xhr.status >= 200 && xhr.status < 300) || xhr.status === 422){
+			callback(null, xhr.responseText);
+		} else {
+			callback({status: xhr.status}, xhr.responseText);
+		}
+	};
+	xhr.send(request.body);
+
+	return function(){ xhr.abort(); };
+};
+
+/**
+* This function binds RegX to the document, which handles the submit, click and live validation events of every form through one listener per event. It also loops through each form, binding the forms that were unbound through RegX.unbind again.
 * This function is called at window.onload by default.
-* __If you add additional forms through JavaScript or AJAX, this method must be called again to ensure validation of that form.__
+* Forms added later on through JavaScript or AJAX are validated without calling this method again, as their events reach the listeners of the document.
+* __Browsers without a Constraint Validation API and IE8 and older, where submit events don't bubble up, need this method to be called again for those forms,__ unless USE_OBSERVER is true and the browser has MutationObserver.
 *
 @example
     RegX.init();
@@ -166,28 +488,157 @@ RegX.onFailure = function(){};
 */
 RegX.init = function(){
 	var $forms = document.forms,
-		$in = document.getElementsByTagName('input'),
-		$btn = document.getElementsByTagName('button'),
 		i;
+	//Pages without forms yet still handle the forms added later on.
+	listen();
+	//Load the patterns file once
+	if(PATTERNS_URL && !isPatternsRequested){
+		isPatternsRequested = true;
+		RegX.loadPatterns(PATTERNS_URL);
+	}
 	for(i = $forms.length; i > 0; i--){
-		removeEvent($forms[i-1], 'submit', onSubmitRegX);
-		addEvent($forms[i-1], 'submit', onSubmitRegX);
-	}
-	//Bind <input type="submit" formnovalidate> to prevent validation on submit
-	for(i = $in.length; i > 0; i--){
-		if(attr($in[i-1], 'type') === 'submit' && typeof attr($in[i-1], 'formnovalidate') == 'string'){
-			removeEvent($in[i-1], 'click', onClickRegX);
-			addEvent($in[i-1], 'click', onClickRegX);
-		}
-	}
-	//Bind <button type="submit" formnovalidate> to prevent validation on submit
-	for(i = $btn.length; i > 0; i--){
-		//Bind <button type="submit">
-		if(attr($btn[i-1], 'type') === 'submit' && typeof attr($btn[i-1], 'formnovalidate') == 'string'){
-			removeEvent($btn[i-1], 'click', onClickRegX);
-			addEvent($btn[i-1], 'click', onClickRegX);
-		}	
+		bindForm($forms[i-1]);
+	}
+	//Watch for forms and buttons that are added or removed later on
+	if(USE_OBSERVER && !observer && typeof MutationObserver !== 'undefined'){
+		observer = new MutationObserver(onMutationRegX);
+		observer.observe(document.documentElement, {childList: true, subtree: true});
+	}
+};
+
+/**
+* This function sets up a form with its own settings and callbacks, for pages whose forms need different settings. The instance has its own ERRORS and isError as well.
+* The options take the same settings as the global RegX object (USE_SANITATION, USE_BETTER_VALIDATION, USE_SERVER_VALIDATION, SERVER_VALIDATION_URL, SERVER_VALIDATION_TIMEOUT, ASYNC_VALIDATION_TIMEOUT, LIVE_VALIDATION, USE_INLINE_ERRORS and LOCALE), the onSuccess, onFailure, onFieldValid and onFieldInvalid callbacks and a messages catalog, as taken by RegX.addMessages.
+* Settings that aren't passed in are taken from the global settings, and the global API keeps working for every other form. Calling it again for the same form replaces the instance.
+*
+@example
+    var checkout = RegX.create('#checkout', {
+        USE_SERVER_VALIDATION: true,
+        LIVE_VALIDATION: 'blur',
+        messages: {"valueMissing": "Please fill in this field to complete your order."},
+        onFailure: function(e, ERRORS){
+            alert(this.ERRORS.length + ' fields need your attention.');
+            return false;
+        }
+    });
+*
+* @method create
+* @param $form {jQuery, DOM Element or String} The form, or a selector of the form.
+* @param options {Object} Optional settings, callbacks and messages.
+* @return {Object} Returns the instance, with the form, options, ERRORS and isError properties, the callbacks, a checkValidity(returnError) method validating the form and an unbind() method detaching RegX from it.
+*/
+RegX.create = function($form, options) {
+	var noop = function(){},
+		instance,
+		prop;
+	
+	$form = findForm($form);
+	if(!$form){ throw new Error('RegX.create: no form was found.'); }
+	options = options || {};
+	
+	instance = {
+		form          : $form,
+		options       : {},
+		messages      : {},
+		ERRORS        : [],
+		isError       : false,
+		onSuccess     : (typeof options.onSuccess === 'function' ? options.onSuccess : noop),
+		onFailure     : (typeof options.onFailure === 'function' ? options.onFailure : noop),
+		onFieldValid  : (typeof options.onFieldValid === 'function' ? options.onFieldValid : noop),
+		onFieldInvalid: (typeof options.onFieldInvalid === 'function' ? options.onFieldInvalid : noop),
+		checkValidity : function(returnError){
+			return RegX.checkValidity($form, returnError);
+		},
+		unbind        : function(){
+			RegX.unbind($form);
+		}
+	};
+	for(prop in options){
+		if(options.hasOwnProperty(prop) && SETTINGS.hasOwnProperty(prop)){ instance.options[prop] = options[prop]; }
+	}
+	if(typeof instance.options.LIVE_VALIDATION === 'string'){ instance.options.LIVE_VALIDATION = instance.options.LIVE_VALIDATION.toLowerCase(); }
+	
+	for(prop in options.messages){
+		if(options.messages.hasOwnProperty(prop)){ instance.messages[prop] = (typeof options.messages[prop] === 'string' ? {'default': options.messages[prop]} : options.messages[prop]); }
+	}
+	
+	$form.regxInstance = instance;
+	bindForm($form);
+	return instance;
+};
+
+/**
+* This function detaches RegX from a form: its events are no longer handled, its live validation and asynchronous validators are stopped and the errors rendered in it are cleared.
+* Fields that were given validity properties by RegX lose them, and the form loses its RegX.create instance. Calling RegX.init binds the form again.
+*
+@example
+    RegX.unbind(document.getElementById('FORM_ID'));
+*
+* @method unbind
+* @param $form {jQuery or DOM Element} The form to detach RegX from.
+*/
+RegX.unbind = function($form) {
+	var $elem,
+		i;
+	
+	if($form.selector !== undefined){ $form = $form[0]; }
+	$form.regxUnbound = true;
+	$form.regxInstance = null;
+	if($form.regxSubmitBound){
+		removeEvent($form, 'submit', onSubmitRegX);
+		$form.regxSubmitBound = false;
+	}
+	resetForm($form);
+	clearRendered($form);
+	
+	//Backwards, as captcha providers may take fields of their own off the form.
+	for(i = $form.elements.length - 1; i >= 0; i--){
+		$elem = $form.elements[i];
+		if($elem.regxCaptcha){
+			//The provider can't take its challenge off when the attribute was removed, or the provider is gone.
+			if(getCaptchaProvider($elem, true) && typeof getCaptchaProvider($elem).destroy === 'function'){ getCaptchaProvider($elem).destroy($elem); }
+			$elem.regxCaptcha = false;
+		}
+		if(!$elem.regxValidity){ continue; }
+		//Take off the validity properties added in browsers without a Constraint Validation API.
+		try{
+			delete $elem.validity;
+			delete $elem.willValidate;
+			delete $elem.validationMessage;
+			delete $elem.setCustomValidity;
+		} catch(e){
+			$elem.validity = $elem.willValidate = $elem.validationMessage = $elem.setCustomValidity = undefined;
+		}
+		$elem.regxValidity = $elem.regxStaticValidity = false;
+	}
+};
+
+/**
+* This function detaches RegX from the page: every form is unbound through RegX.unbind, the document listeners and USE_OBSERVER are removed, window.onload is put back the way it was before RegX was loaded and ERRORS and isError are reset.
+* Registered patterns, messages and validators are kept, so calling RegX.init brings RegX back. Use it in single page applications and test harnesses.
+*
+@example
+    RegX.destroy();
+*
+* @method destroy
+*/
+RegX.destroy = function() {
+	var $forms = document.forms,
+		i;
+	
+	for(i = 0; i < $forms.length; i++){ RegX.unbind($forms[i]); }
+	
+	unlisten();
+	if(observer){
+		observer.disconnect();
+		observer = null;
 	}
+	if(typeof window !== 'undefined' && wrappedOnload && window.onload === wrappedOnload){ window.onload = previousOnload; }
+	wrappedOnload = previousOnload = null;
+	
+	ERRORS = [];
+	RegX.isError = false;
+	current = null;
 };
 
 /**
@@ -209,16 +660,19 @@ RegX.init = function(){
 */
 RegX.checkValidity = function($elem, returnError) {
 	var elementsArray = [],
-	    $input;
+	    $input = ($elem.selector !== undefined || !$elem.nodeName ? $elem[0] : $elem);
+	
+	//Validate with the settings of the form's instance.
+	if($input && isForeign($input)){ return useInstance(getInstance($input), RegX.checkValidity, [$elem, returnError]); }
 	//Checks if $elem is Dom Element or jQuery Element
 	if($elem.selector !== undefined){
 		if($elem.length === 1){
 			//jQuery Selector returns one element
-			return checkElementValidity($elem[0]);
+			return checkElementValidity($elem[0], returnError);
 		} else {
 			//jQuery Selector returns multiple elements
 			for(var i = $elem.length-1; i >= 0; i--){
-				$input = checkElementValidity($elem[i]);
+				$input = checkElementValidity($elem[i], returnError);
 				if(!$input){ return false; } //Mark the whole batch as false because returnError is not set.
 				else if($input !== true){ elementsArray.push($input); }
 			}
@@ -227,11 +681,11 @@ RegX.checkValidity = function($elem, returnError) {
 		}
 	} else {
 		if($elem.length === 1 || $elem.nodeName.toLowerCase() === "input"){
-			return checkElementValidity($elem);
+			return checkElementValidity($elem, returnError);
 		} else {
 			//Check through node list
 			for(var i = $elem.length-1; i >= 0; i--){
-				$input = checkElementValidity($elem[i]);
+				$input = checkElementValidity($elem[i], returnError);
 				if(!$input){ return false; } //Mark the whole batch as false because returnError is not set.
 				else if($input !== true){ elementsArray.push($input); }
 			}
@@ -239,1236 +693,3910 @@ RegX.checkValidity = function($elem, returnError) {
 			return true;
 		}
 	}
-	//Checks individual field
-	function checkElementValidity($elem) {
-		var val       = $elem.value,
-			tag       = $elem.tagName.toLowerCase(),
-			name      = attr($elem,'name'),
-			required  = attr($elem,'required'),
-			disabled  = attr($elem,'disabled'),
-			readonly  = attr($elem,'readonly'),
-			pattern   = attr($elem,'pattern'),
-			max       = parseFloat(attr($elem, 'max')),
-			min       = parseFloat(attr($elem, 'min')),
-			maxlength = parseInt(attr($elem,'maxlength'),10);
-				
-		//When a form element is disabled, it is immutable.
-		if(disabled === true){ return true; }
-		
-		if(required === null || required === false){ required = false; }
-		else { required = true; }
-		
-		//Readonly makes these input types immutable: text, search, url, telephone, email, password, datetime, date, month, week, time, datetime-local, number
-		if((typeof readonly == 'string' && readonly !== '') || readonly === true){ readonly = true; }
-		else { readonly = false; }
-		
-		//Check maxlength property as long as 'USE_BETTER_VALIDATION' is true
-		if(USE_BETTER_VALIDATION && isNaN(maxlength) === false && maxlength > 0){
-			try{ checkMaxLength($elem); }
-			catch(e){ return formatError(e); }
-		}
-		
-		//Validate select and textarea
-		switch(tag){
-			case 'select':
-				if(!readonly && required){
-					try{ checkSelect($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'textarea':
-				return (required && val.length === 0 ? formatError('Textarea was left empty.') : true);
-				break;
-			case 'button':
-				return true;
-				break;
-		}
-		
-		//Pattern attribute applies to these types: Text, Search, URL, Tel, Email, Password
-		if(pattern === null || pattern === ''){ pattern = false; }
-		else { pattern = true; }
-		
-		//Element Groups: http://www.w3.org/TR/2011/WD-html5-20110525/the-input-element.html#concept-input-mutable
-		
-		tag = attr($elem,'type').toLowerCase(); //change input tag to type
-		switch(tag){
-			case 'hidden':
-			case 'submit':
-			case 'image':
-			case 'reset':
-			case 'button':
-				return true;
-				break;
-			case 'color':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkColor($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'email':
-				if(pattern && val !== ""){
-					try{ checkPattern($elem); }
-					catch(e){ return formatError(e); }
-				}
-				if(!readonly && (required || val.length > 0)){
-					try{ checkEmail($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'url':
-				if(pattern && val !== ""){
-					try{ checkPattern($elem); }
-					catch(e){ return formatError(e); }
-				}
-				if(!readonly && (required || val.length > 0)){
-					try{ checkURL($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'number':
-				//Sanitize Number Value - http://www.whatwg.org/specs/web-apps/current-work/multipage/states-of-the-type-attribute.html#number-state-(type=number)
-				if(USE_SANITATION && isNaN(parseFloat(val))){ $elem.value = ''; }
-				if(!readonly && (required || val.length > 0)){
-					try{ checkNumber($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'range':
-				//Sanitize Range Value - http://www.whatwg.org/specs/web-apps/current-work/multipage/states-of-the-type-attribute.html#range-state-(type=range)
-				if(USE_SANITATION && isNaN(parseFloat(val))){
-					$elem.value = min + ((max-min) / 2);
-					if(max < min){ $elem.value = min; }
-				}
-				if(required || val.length > 0){
-					try{ checkRange($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'week':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkWeek($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'month':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkMonth($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'date':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkDate($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'time':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkTime($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'datetime-local':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkDatetimelocal($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'datetime':
-				if(!readonly && (required || val.length > 0)){
-					try{ checkDatetime($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			case 'checkbox':
-			case 'radio':
-			case 'file':
-				if(required){
-					try{ checkRequired($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-			default: //'Text', 'Search', Telephone, 'Password', and any non spec types
-				if(pattern && val !== ""){
-					try{ checkPattern($elem); }
-					catch(e){ return formatError(e); }
-				}
-				if(!readonly && required){
-					try{ checkRequired($elem); }
-					catch(e){ return formatError(e); }
-				}
-				return true;
-				break;
-		}
-		//Format the error for returning.
-		function formatError(e){
-			if(returnError){ return {"name": name, "type": tag, "value": val, "msg": getMessage($elem), "error":e.type, "error_msg": e.msg}; }
-			return false;
-		}
-	}
 };
 
 /**
-* This function checks if the field is valid, assuming that the field IS required and only observing that fact.
+* This function validates a form outside of its submit event, e.g. for a "Next" button of a multi step form or to autosave a draft. It waits for the asynchronous validators of the form, but doesn't call RegX.onSuccess or RegX.onFailure.
+* The regx:invalid, regx:valid, regx:failure and regx:success events are dispatched as on submission, but can't be cancelled as there is no submission to stop.
+* The promise resolves with an object holding:
+* valid, true if every field is valid,
+* errors, the ERRORS array of the form, in the order of its fields,
+* fields, the status of each field by name: {valid, error, value}, where error is the field's error object or null and value is the normalized value.
+* Values are trimmed (with USE_SANITATION), numbers are parsed, telephone numbers are formatted in E.164 format where possible, and checkbox groups, select multiple and email multiple fields give arrays.
+* It needs a browser with Promise support, or a Promise polyfill.
 *
-* @method checkRequired
-* @private
+@example
+    RegX.validateForm(document.getElementById('FORM_ID')).then(function(result){
+        if(result.valid){ saveDraft(result.fields); }
+    });
+*
+* @method validateForm
+* @param $form {jQuery, DOM Element or String} The form, or a selector of the form.
+* @return {Promise} Returns a promise of the {valid, errors, fields} object.
 */
-function checkRequired($input) {
-	if($input.selector !== undefined) $input = $input[0];
-	switch(attr($input,'type')) {
-		case 'checkbox':
-			if(!$input.checked){ throw {type: 'valueMissing', msg: 'Checkbox was left unchecked.'}; }
-			break;
-		case 'radio':
-			var radioName = $input.getAttribute('name'),
-					radioForm = $input.form.name,
-					radiosWithName = document.getElementsByName(radioName),
-					radioGroup = [], //This group contains an array of all the radio buttons in the same form with the same name.
-					i = 0;
-			for(i = 0; i < radiosWithName.length; i++) {
-				//Sort inputs to make sure that all of the radios with the same name are in the same form
-				if(radiosWithName[i].form.name === radioForm){
-					radioGroup.push(radiosWithName[i]);
-				}
+RegX.validateForm = function($form) {
+	$form = findForm($form);
+	if($form && isForeign($form)){ return useInstance(getInstance($form), RegX.validateForm, [$form]); }
+	
+	return new Promise(function(resolve, reject){
+		if(!$form){ return reject(new Error('RegX.validateForm: no form was found.')); }
+		validateAsyncForm($form, bindInstance(function(){
+			var result;
+			
+			//The validators answer later on, so errors thrown from here on, e.g. by event listeners, would otherwise leave the promise pending.
+			try{
+				result = getFormResult($form);
+				dispatchFields($form, result.errors);
+				dispatch($form, (result.valid ? 'regx:success' : 'regx:failure'), {errors: result.errors}, false);
+				resolve(result);
+			} catch(err){
+				reject(err);
 			}
-			for(i = 0; i < radioGroup.length; i++) {
-				if(radioGroup[i].checked){
-					return;
-				}
+		}));
+	});
+};
+
+/**
+* This function validates a plain value against an input type and its constraints without touching the DOM.
+* The same type, range, step, pattern and length checks used by checkValidity are run, so values coming from JSON, tests or non-form UI can be validated with the same rules.
+* Constraints are named after the HTML attributes they stand in for (required, pattern, min, max, step, maxlength, data-regx-errormessage, etc.).
+*
+@example
+    RegX.validateValue('number', '12', {min: 1, max: 10, name: 'quantity'});
+
+@example
+    RegX.validateValue('email', 'test@email.', {required: true});
+*
+* @method validateValue
+* @param type {String} The input type to validate the value as, e.g. "email" or "week". Use "select" or "textarea" for those elements.
+* @param value {String} The value to validate.
+* @param constraints {Object} Optional map of attribute names to values. Boolean attributes such as required, readonly and disabled take true or false.
+* @return {Boolean|Object} Returns true if the value is valid, otherwise returns the same error object checkValidity returns when returnError is set to true.
+*/
+RegX.validateValue = function(type, value, constraints) {
+	return checkElementValidity(createField(type, value, constraints), true);
+};
+
+/**
+* This function validates a submitted payload on the server (or anywhere without a DOM) against a constraint description.
+* The constraint description maps each field name to the same constraints validateValue accepts, including the input type.
+* Fields missing from the payload are validated as empty values, so required fields are still caught.
+* Checkboxes with a value constraint are checked when their value was submitted. Checkboxes sharing a name are listed in a checkboxes array, as RegX.getSchema does, and each is validated on its own.
+*
+@example
+    var RegX = require('./RegX.js');
+    var ERRORS = RegX.validatePayload(req.body, {
+        "name" : {"type": "text", "required": true},
+        "email": {"type": "email", "required": true, "data-regx-errormessage": "Your email address was not formatted correctly."}
+    });
+*
+* @method validatePayload
+* @param fields {Object} Map of field names to submitted values. Values submitted more than once may be passed as an array.
+* @param schema {Object} Map of field names to constraint objects, e.g. {"age": {"type": "number", "min": 18}}.
+* @return {Array} Returns the ERRORS array of error objects for every invalid field. The array is empty when the payload is valid. Besides name, type, value, msg, error and error_msg, an error object can have error_params, the values put in its message (e.g. the max of a rangeOverflow error), and error_values, the values of a list that failed (e.g. the addresses of an email input with the multiple attribute). Both only hold strings, numbers and arrays, so the array can be sent on as JSON.
+*/
+RegX.validatePayload = function(fields, schema) {
+	var errors = [],
+		form = {elements: {}},
+		checks = [],
+		boxes,
+		value,
+		field,
+		name,
+		error,
+		i;
+
+	fields = fields || {};
+	for(name in schema){
+		if(schema.hasOwnProperty(name)){
+			//Members of Object.prototype, e.g. "constructor", are not submitted values.
+			value = (Object.prototype.hasOwnProperty.call(fields, name) ? fields[name] : undefined);
+			boxes = (schema[name].checkboxes instanceof Array ? schema[name].checkboxes : (schema[name].type === 'checkbox' && schema[name].value !== undefined ? [schema[name]] : null));
+			
+			//Checkboxes are checked when their value was submitted, each against its own constraints.
+			for(i = 0; boxes && i < boxes.length; i++){
+				field = createField('checkbox', (indexOf([].concat(value === undefined || value === null ? [] : value), boxes[i].value + '') > -1 ? boxes[i].value : ''), boxes[i]);
+				field.name = name;
+				field.form = form;
+				checks.push(field);
+				if(i === 0){ form.elements[name] = field; }
 			}
-			throw {type: 'valueMissing', msg: 'A radio option was not checked.'};
-			break;
-		default:
-			if(trim($input.value, true).length === 0){ throw {type: 'valueMissing', msg: 'There was no value for this field.'}; }
-			break;
+			if(boxes){ continue; }
+			
+			//Repeated fields (checkbox groups, multiple emails) are validated as one comma separated value.
+			if(value instanceof Array){ value = value.join(','); }
+
+			field = createField(schema[name].type, value, schema[name]);
+			field.name = name;
+			//The fields can reference each other by name, e.g. with data-regx-equalto.
+			field.form = form;
+			form.elements[name] = field;
+			checks.push(field);
+		}
 	}
-}
+	for(i = 0; i < checks.length; i++){
+		error = checkElementValidity(checks[i], true);
+		if(error !== true){ errors.push(error); }
+	}
+	return errors;
+};
 
 /**
-* This function checks if the field is valid based on it's pattern attribute. __If no pattern attribute is supplied, this method returns false!__
-* If specified, the attribute's value must match the JavaScript Pattern production ([ECMA262]). The pattern is compiled with the "global, ignoreCase, and multiline flags disabled".
+* This function reads the validation rules authored as HTML5 attributes and returns them as a JSON friendly constraint schema, one entry per field name.
+* The schema can be passed straight to validatePayload, so the same markup drives both client and server side validation.
+* Radio buttons that share a name are merged into one entry, which is required if any of them is required. Checkboxes that share a name are checked on their own, as they are in the browser: their entry lists them as checkboxes, each with its value and constraints.
+* Submit, reset, button, image and hidden inputs are left out, as are fields without a name.
+* An HTML string is read from the form with the given id or name, or from its first form. Strings without a form, e.g. partial templates, are read as a whole. Fields inside comments are left out.
 *
-* @method checkPattern
-* @private
+@example
+    RegX.getSchema(document.getElementById('FORM_ID'));
+
+@example
+    //In Node, read the schema straight from the template the form is rendered from.
+    var schema = RegX.getSchema(fs.readFileSync('signup.html', 'utf8'));
+*
+* @method getSchema
+* @param $form {String|DOM Element} An HTML string, or a live form element.
+* @param id {String} Optional id or name of the form to read out of an HTML string.
+* @return {Object} Returns a map of field names to constraint objects, e.g. {"age": {"type": "number", "min": "18"}}.
 */
-function checkPattern($input) {
-	if($input.selector !== undefined) $input = $input[0];
-	var pattern = new RegExp('^(?:'+attr($input,'pattern')+')$');
-	if(!pattern.test($input.value)){ throw {type: 'patternMismatch', msg: 'The value does not match the pattern: "'+ pattern +'".'}; }
-	return;
-}
+RegX.getSchema = function($form, id) {
+	var schema = {},
+		fields = (typeof $form === 'string' ? parseFields($form, id) : readFields($form)),
+		field,
+		prop,
+		i;
+
+	for(i = 0; i < fields.length; i++){
+		field = fields[i];
+		if(field.name === null || field.name === '' || field.type === 'submit' || field.type === 'reset' || field.type === 'button' || field.type === 'image' || field.type === 'hidden'){ continue; }
+
+		if(schema.hasOwnProperty(field.name) && field.type === 'radio'){
+			//Merge the group, one required member makes the whole group required.
+			if(field.constraints.required){ schema[field.name].required = true; }
+			continue;
+		}
+		if(schema.hasOwnProperty(field.name) && field.type === 'checkbox' && schema[field.name].type === 'checkbox'){
+			//Checkboxes sharing a name are still checked one by one.
+			if(!schema[field.name].checkboxes){ schema[field.name] = {type: 'checkbox', checkboxes: [schema[field.name]]}; }
+			schema[field.name].checkboxes.push(field.constraints);
+			continue;
+		}
+
+		schema[field.name] = {};
+		for(prop in field.constraints){
+			if(field.constraints.hasOwnProperty(prop)){ schema[field.name][prop] = field.constraints[prop]; }
+		}
+	}
+	return schema;
+};
 
 /**
-* This function checks if the field's value exceeds the max length based on it's maxlength attribute. __If no maxlength attribute is supplied, this method returns false!__
-* If maxlength is specified as a float, the maxlength value is floored. Maxlength value must be a number >= 0 or else this property is effectively ignored.
+* This function registers a named pattern that fields can reference with the data-regx-pattern attribute instead of repeating the pattern attribute.
+* Registering a pattern with a name that's already taken replaces it.
 *
-* @method checkMaxLength
-* @private
+@example
+    RegX.addPattern('sku', '[A-Z]{3}-\\d{4}', 'SKUs look like "ABC-1234".');
+    <input type="text" name="sku" data-regx-pattern="sku">
+*
+* @method addPattern
+* @param name {String} The name fields reference the pattern by.
+* @param pattern {String|RegExp} The pattern, following the same rules as the pattern attribute.
+* @param msg {String} Optional default error message used when a value does not match.
 */
-function checkMaxLength($input) {
-	if($input.selector !== undefined){ $input = $input[0]; }
-	if($input.value.length > parseInt(attr($input,'maxLength'),10)){
-		throw {type: 'tooLong', msg: 'The value exceeds the maxlength attribute.'};
+RegX.addPattern = function(name, pattern, msg) {
+	PATTERNS[name] = {pattern: (pattern instanceof RegExp ? pattern.source : pattern + ''), msg: (typeof msg === 'string' && msg !== '' ? msg : null)};
+};
+
+/**
+* This function registers several named patterns at once. It takes the contents of a patterns file, either regx.patterns.xml or its JSON equivalent, or an object.
+* This is the way to register patterns when bundling, or on the server where the file can be read from disk.
+*
+@example
+    //regx.patterns.xml
+    <patterns>
+        <pattern name="postcode-us" message="This is not a valid ZIP code.">\d{5}(-\d{4})?</pattern>
+        <pattern name="sku"><![CDATA[[A-Z]{3}-\d{4}]]></pattern>
+    </patterns>
+
+@example
+    RegX.addPatterns({
+        "postcode-us": {"pattern": "\\d{5}(-\\d{4})?", "message": "This is not a valid ZIP code."},
+        "sku"        : "[A-Z]{3}-\\d{4}"
+    });
+*
+* @method addPatterns
+* @param patterns {String|Object} The XML or JSON text of a patterns file, or a map of names to patterns or {pattern, message} objects.
+*/
+RegX.addPatterns = function(patterns) {
+	var regex = /<pattern\b([^>]*)>([\s\S]*?)<\/pattern>/gi,
+		match,
+		attrs,
+		name;
+
+	if(typeof patterns === 'string'){
+		if(/^\s*</.test(patterns)){
+			//XML
+			while((match = regex.exec(patterns)) !== null){
+				attrs = readXMLAttributes(match[1]);
+				if(attrs.name){ RegX.addPattern(attrs.name, readXMLText(match[2]), attrs.message); }
+			}
+			return;
+		}
+		patterns = JSON.parse(patterns);
 	}
-}
+
+	for(name in patterns){
+		if(patterns.hasOwnProperty(name)){
+			if(typeof patterns[name] === 'object' && !(patterns[name] instanceof RegExp)){ RegX.addPattern(name, patterns[name].pattern, patterns[name].message); }
+			else { RegX.addPattern(name, patterns[name]); }
+		}
+	}
+};
 
 /**
-* This function checks selects in more detail for various browsers.
+* This function loads a patterns file (regx.patterns.xml or its JSON equivalent) and registers its named patterns. Set PATTERNS_URL to have RegX.init do this for you.
+* The file is requested through RegX.transport. While it is loading, forms with fields referencing patterns that aren't registered yet are validated once it is in.
+* The request is given up on after SERVER_VALIDATION_TIMEOUT, and the callback gets an error with the type "timeout". The waiting forms are validated then, so their unregistered patterns are reported as errors instead of holding the forms up.
 *
-* @method checkSelect
-* @private
+@example
+    RegX.loadPatterns('/regx.patterns.xml', function(err){
+        if(err){ alert('The patterns could not be loaded.'); }
+    });
+*
+* @method loadPatterns
+* @param url {String} The location of the patterns file.
+* @param callback {Function} Optional function called once the patterns are registered, with an error if they couldn't be loaded.
 */
-function checkSelect($select) {
-	if($select.selector !== undefined) $select = $select[0];
-	
-	var placeholderOptionVal; // value of placeholder
+RegX.loadPatterns = function(url, callback) {
+	var done = false,
+		abort,
+		timer;
 	
-	// If the element has its required attribute specified, and either none of the option elements in the select element's list of options have their selectedness set to true, or the only option element in the select element's list of options with its selectedness set to true is the placeholder label option, then the element is suffering from being missing.
+	patternsLoading++;
+	//Forms wait on the patterns file, so a request that hangs is given up on.
+	timer = setTimeout(function(){
+		if(typeof abort === 'function'){ abort(); }
+		finish({type: 'timeout'});
+	}, SERVER_VALIDATION_TIMEOUT);
 	
-	//On submission the select input MUST have a value selected.
-	if($select.selectedIndex < 0){ throw {type: 'valueMissing', msg: 'An option was not selected.'}; }
+	try{ abort = RegX.transport({method: 'GET', url: url, body: null, timeout: SERVER_VALIDATION_TIMEOUT}, finish); }
+	catch(e){ finish(e); }
 	
-	//If selected element value is placeholder label option...
-	if($select.value === ''){
-		//In older versions of IE, if the value attribute isn't set on the option, the value will be empty string in the DOM, but will still send a value to the server.
-		//The trick is determining IF the value truly is empty (which is an error) or if IE just thinks it is (not an error)
+	function finish(err, response){
+		var callbacks,
+			i;
 		
-		//Check for other browsers
-		placeholderOptionVal = attr($select.options[0], 'value');
-		//Check if var is "specified" in IE
-		if($select.options[0].attributes.value && !$select.options[0].attributes.value.specified){
-			if(trim($select.options[0].innerHTML) === ''){ throw {type: 'valueMissing', msg: 'No value was specified.'}; }
-		} else {
-			if(placeholderOptionVal === '' || (placeholderOptionVal === null && trim($select.options[0].innerHTML) === '')){ throw {type: 'valueMissing', msg: 'No value was specified.'}; }
-		}	
+		if(done){ return; }
+		done = true;
+		clearTimeout(timer);
+		if(!err){
+			try{ RegX.addPatterns(response); }
+			catch(e){ err = e; }
+		}
+		if(typeof callback === 'function'){ callback(err || null); }
+		
+		//Validate the forms that waited on the patterns.
+		if(--patternsLoading === 0){
+			callbacks = patternsCallbacks;
+			patternsCallbacks = [];
+			for(i = 0; i < callbacks.length; i++){ callbacks[i](); }
+		}
 	}
-}
+};
 
 /**
-* This function checks if the field's value is a valid color.
-* __The input color control shouldn't allow you to set the color to anything BUT a color.__
-* In a modern browser, checkValidity() should ALWAYS return true, because the default value for anything other than a valid hex color, is #000000.
-* When the setting RegX.USE_BETTER_VALIDATION is set to true, RegX allows the use of SVG color keywords or simple colors (ex. aliceblue or #f00).
+* This function registers a validator, or replaces a built-in one. The built-in validators are named after the input types they check: color, email, url, tel, number, range, week, month, date, time, datetime-local, datetime, file and select.
+* A validator gets the field's value and the field, and throws an object with a type and a msg, just like the built-in ones do, when the value is invalid. It is only called for fields that have a value: empty fields fail with valueMissing when they are required, and are valid otherwise.
+* With USE_SANITATION the value is trimmed before it is passed in. Set the sanitize option to false to get the raw value, or to a function that returns the value to validate instead.
+* Validators are used by the types registered through RegX.addType.
 *
-* @method checkColor
-* @private
+@example
+    //Only accept addresses of your own domain.
+    RegX.addValidator('email', function(value){
+        if(!/@example\.com$/i.test(value)){
+            throw {type: 'typeMismatch', msg: 'Please use your example.com address.'};
+        }
+    });
+
+@example
+    RegX.addValidator('iban', function(value){
+        if(!/^[A-Z]{2}\d{2}[A-Z\d]{11,30}$/.test(value)){
+            throw {type: 'typeMismatch', msg: 'This is not a valid IBAN.'};
+        }
+    }, {sanitize: function(value){ return value.replace(/\s+/g, '').toUpperCase(); }});
+*
+* @method addValidator
+* @param name {String} The name of the validator, or of the built-in validator to replace.
+* @param validator {Function} The validator, called with the value and the field.
+* @param options {Object} Optional settings. sanitize: true (default), false or a function returning the value to validate.
 */
-function checkColor($input) {
-	if($input.selector !== undefined) $input = $input[0];
+RegX.addValidator = function(name, validator, options) {
+	var sanitize = (options && options.sanitize !== undefined ? options.sanitize : true);
 	
-	var val = $input.value,
-	regex = /^#[a-f0-9]{6}$/i;
-	
-	if(regex.test(val)) {
-		return;
-	} else {
-		if(!USE_BETTER_VALIDATION || val.length === 0){
-			throw {type: 'typeMismatch', msg: 'This is not a valid hex color. e.g. "#FF0000"'};
-		} else if(val.length === 0){
-			throw {type: 'valueMissing', msg: 'This field is empty.'};
-		}
+	VALIDATORS[name] = function($input){
+		if($input.selector !== undefined) $input = $input[0];
 		
-		//Do Legacy Color Value Parser
-		val = trim(val);
-		if(val.toLowerCase() === 'transparent'){
-			throw {type: 'typeMismatch', msg: 'This is not a valid hex color. e.g. "#FF0000"'};
-		}
+		var val = ($input.value === null || $input.value === undefined ? '' : $input.value + '');
 		
-		//Check SVG color keywords
-		if(val === 'aliceblue' || val === 'antiquewhite' || val === 'aqua' || val === 'aquamarine' || val === 'azure' || val === 'beige' || val === 'bisque' || val === 'black' || val === 'blanchedalmond' || val === 'blue' || val === 'blueviolet' || val === 'brown' || val === 'burlywood' || val === 'cadetblue' || val === 'chartreuse' || val === 'chocolate' || val === 'coral' || val === 'cornflowerblue' || val === 'cornsilk' || val === 'crimson' || val === 'cyan' || val === 'darkblue' || val === 'darkcyan' || val === 'darkgoldenrod' || val === 'darkgray' || val === 'darkgreen' || val === 'darkgrey' || val === 'darkkhaki' || val === 'darkmagenta' || val === 'darkolivegreen' || val === 'darkorange' || val === 'darkorchid' || val === 'darkred' || val === 'darksalmon' || val === 'darkseagreen' || val === 'darkslateblue' || val === 'darkslategray' || val === 'darkslategrey' || val === 'darkturquoise' || val === 'darkviolet' || val === 'deeppink' || val === 'deepskyblue' || val === 'dimgray' || val === 'dimgrey' || val === 'dodgerblue' || val === 'firebrick' || val === 'floralwhite' || val === 'forestgreen' || val === 'fuchsia' || val === 'gainsboro' || val === 'ghostwhite' || val === 'gold' || val === 'goldenrod' || val === 'gray' || val === 'green' || val === 'greenyellow' || val === 'grey' || val === 'honeydew' || val === 'hotpink' || val === 'indianred' || val === 'indigo' || val === 'ivory' || val === 'khaki' || val === 'lavender' || val === 'lavenderblush' || val === 'lawngreen' || val === 'lemonchiffon' || val === 'lightblue' || val === 'lightcoral' || val === 'lightcyan' || val === 'lightgoldenrodyellow' || val === 'lightgray' || val === 'lightgreen' || val === 'lightgrey' || val === 'lightpink' || val === 'lightsalmon' || val === 'lightseagreen' || val === 'lightskyblue' || val === 'lightslategray' || val === 'lightslategrey' || val === 'lightsteelblue' || val === 'lightyellow' || val === 'lime' || val === 'limegreen' || val === 'linen' || val === 'magenta' || val === 'maroon' || val === 'mediumaquamarine' || val === 'mediumblue' || val === 'mediumorchid' || val === 'mediumpurple' || val === 'mediumseagreen' || val === 'mediumslateblue' || val === 'mediumspringgreen' || val === 'mediumturquoise' || val === 'mediumvioletred' || val === 'midnightblue' || val === 'mintcream' || val === 'mistyrose' || val === 'moccasin' || val === 'navajowhite' || val === 'navy' || val === 'oldlace' || val === 'olive' || val === 'olivedrab' || val === 'orange' || val === 'orangered' || val === 'orchid' || val === 'palegoldenrod' || val === 'palegreen' || val === 'paleturquoise' || val === 'palevioletred' || val === 'papayawhip' || val === 'peachpuff' || val === 'peru' || val === 'pink' || val === 'plum' || val === 'powderblue' || val === 'purple' || val === 'red' || val === 'rosybrown' || val === 'royalblue' || val === 'saddlebrown' || val === 'salmon' || val === 'sandybrown' || val === 'seagreen' || val === 'seashell' || val === 'sienna' || val === 'silver' || val === 'skyblue' || val === 'slateblue' || val === 'slategray' || val === 'slategrey' || val === 'snow' || val === 'springgreen' || val === 'steelblue' || val === 'tan' || val === 'teal' || val === 'thistle' || val === 'tomato' || val === 'turquoise' || val === 'violet' || val === 'wheat' || val === 'white' || val === 'whitesmoke' || val === 'yellow' || val === 'yellowgreen'){ return; }
+		if(typeof sanitize === 'function'){ val = sanitize(val, $input); }
+		else if(sanitize){ val = trim(val); }
 		
-		//Check simple color
-		if(val.length === 4 && /^#[a-f0-9]{3}$/i.test(val)){
+		//Built-in validators also check the required attribute of empty fields. Validators replacing them are spared that, and only get values.
+		if((val === null || val === undefined || val === '') && !($input.files && $input.files.length > 0)){
+			if(attr($input, 'required')){ throw createError('valueMissing', (/^select$/i.test($input.tagName || '') ? 'select' : attr($input, 'type'))); }
 			return;
 		}
+		validator(val, $input);
+	};
+};
 
-		throw {type: 'typeMismatch', msg: 'This is not a valid hex color. e.g. "#F00"'};
+/**
+* This function registers an input type. Fields whose type or data-regx-type attribute holds the type are checked by its validator, after their pattern and required attributes.
+* Use data-regx-type for types that browsers don't know about, as they treat unknown types as text inputs.
+*
+@example
+    RegX.addType('postcode', function(value){
+        if(!/^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i.test(value)){
+            throw {type: 'typeMismatch', msg: 'This is not a valid postcode.'};
+        }
+    });
+    <input type="text" name="postcode" data-regx-type="postcode" required>
+*
+* @method addType
+* @param type {String} The name of the type.
+* @param validator {Function|String} The validator, as taken by RegX.addValidator, or the name of a registered validator.
+*/
+RegX.addType = function(type, validator) {
+	type = (type + '').toLowerCase();
+	if(typeof validator === 'function'){
+		RegX.addValidator(type, validator);
+		validator = type;
 	}
-}
+	TYPES[type] = validator;
+};
 
 /**
-* This function checks if the field's value is a valid email address.
-* Spec: http://www.w3.org/TR/html5/states-of-the-type-attribute.html#e-mail-state-type-email
-* This method can use "Better Validation" based on  Arluison Guillaume's regex.
+* This function registers an asynchronous validator, for checks that need a server such as "is this username taken". Fields use it with the data-regx-async attribute.
+* The validator gets the field's value, the field and, where the browser supports it, an AbortSignal that is aborted when the value changes before the check is done.
+* It returns a promise (or any thenable) of the result: true for a valid value, false for an invalid one, or an error message. Validators that fail, e.g. because the server can't be reached, or don't answer within ASYNC_VALIDATION_TIMEOUT leave the field invalid, and are run again the next time the field is validated.
+* Validators only run once every other constraint of the field is satisfied, and each value is only checked once. While a check is running the field is pending, see RegX.isPending.
+* On submission RegX waits for the validators of the form before calling RegX.onSuccess or RegX.onFailure, then submits the form itself if it is valid.
+* The error type of a value that wasn't accepted is "asyncMismatch", and that of a check that failed or timed out is "asyncError".
 *
-* @method checkEmail
-* @private
+@example
+    RegX.addAsyncValidator('username', function(value, $elem, signal){
+        return fetch('/username-available?u=' + encodeURIComponent(value), {signal: signal})
+            .then(function(response){ return response.json(); })
+            .then(function(data){ return data.available || 'This username is taken.'; });
+    });
+    <input type="text" name="username" data-regx-async="username">
+*
+* @method addAsyncValidator
+* @param name {String} The name fields reference the validator by.
+* @param validator {Function} The validator, called with the value, the field and an AbortSignal.
 */
-function checkEmail($input) {
-	if($input.selector !== undefined) $input = $input[0];
-	
-	var email = trim($input.value),
-	regex = /^[a-zA-Z0-9.!#$%&'*+\/=?\^_`{|}~\-]+@[a-zA-Z0-9\-]+(?:\.[a-zA-Z0-9\-]+)*$/;
-	
-	if(USE_BETTER_VALIDATION) {
-		regex = /^[-a-z0-9~!$%^&*_=+}{\'?]+(\.[-a-z0-9~!$%^&*_=+}{\'?]+)*@([a-z0-9_][-a-z0-9_]*(\.[-a-z0-9_]+)*\.(aero|arpa|biz|com|coop|edu|gov|info|int|mil|museum|name|net|org|pro|travel|mobi|xxx|[a-z][a-z])|([0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}))(:[0-9]{1,5})?$/i;
-	} //'
-	
-	if(!regex.test(email)){
-		throw {type: 'typeMismatch', msg: 'This is not a valid email address.'};
-	}
-	return;
-}
+RegX.addAsyncValidator = function(name, validator) {
+	ASYNC_VALIDATORS[name] = validator;
+};
 
 /**
-* This function checks if the field's value is a valid URL.
-* Spec: http://www.w3.org/TR/html5/states-of-the-type-attribute.html#url-state-type-url
-* http://tools.ietf.org/html/rfc3986#section-3 - URI Must have a Scheme:
-*	Scheme = ALPHA *( ALPHA / DIGIT / "+" / "-" / "." )
-* This method can use "Better Validation" to do deeper checking for ftp and http/https (as Chrome does).
+* This function tells if the asynchronous validator of a field, or of any field of a form, is still running.
 *
-* @method checkURL
-* @private
+* @method isPending
+* @param $elem {jQuery or DOM Element} The field or form.
+* @return {Boolean} Returns true while a check is running.
 */
-function checkURL($input) {
-	if($input.selector !== undefined) $input = $input[0];
+RegX.isPending = function($elem) {
+	var i;
 	
-	//Scheme = ALPHA *( ALPHA / DIGIT / "+" / "-" / "." )
-	var url = trim($input.value);
-	if(!/^[a-z][a-z\d+\-.]*:/i.test(url)) { //Global Scheme Check for Firefox, Safari, Opera and Chrome
-		 throw {type: 'typeMismatch', msg: 'This is not a valid URL.'};
-	}
-	//Path can be empty.
-	//On Chrome, path cannot be empty for ftp, http, or https.
-	if(USE_BETTER_VALIDATION && /^(ftp|https?):/i.test(url)) { //Chrome like FTP, HTTP, HTTPS Check
-		//Google Does not like these chars in url: @~=;[]%^
-		//Google Does not like these additional chars after authority path-abempty: :#\/
-		if(!/^(ftp|https?):(\/\/[^\/:#\\@~=;\[\]%\^][^@~=;\[\]%\^]*|\/[^\/:#\\@~=;\[\]%\^][^@~=;\[\]%\^]*|[^\/:#\\@~=;\[\]%\^][^\/@~=;\[\]%\^]*[^@~=;\[\]%\^]*)$/i.test(url)) {
-			throw {type: 'typeMismatch', msg: 'This is not a valid web address.'};
+	if($elem.selector !== undefined){ $elem = $elem[0]; }
+	if($elem.elements){
+		for(i = 0; i < $elem.elements.length; i++){
+			if($elem.elements[i].regxAsyncPending){ return true; }
 		}
+		return false;
 	}
-	return;
-}
+	return !!$elem.regxAsyncPending;
+};
 
 /**
-* This function checks if the field's value is a valid number.
-* Specify the min, max, and step to control which numbers are available.
+* This function registers a captcha provider, or replaces the built-in "arithmetic" one. Fields use a provider with the data-regx-captcha attribute, and fields that leave the attribute empty use "arithmetic". Validating a field that references a provider that isn't registered throws an error.
+* A provider has a render($elem) method, which sets up a new challenge for the field and is called when its form is bound or first focused and by RegX.resetCaptcha, and a verify(value, $elem) method, which returns true when the field's value answers the challenge.
+* It can also have a destroy($elem) method, called by RegX.unbind, which takes the challenge off the page.
+* An empty captcha field is missing its value, and a wrong answer has the error type "captchaMismatch".
+* __Captchas that are checked in the browser only keep out bots that don't run JavaScript.__ Providers backed by a service should have render set the field's value to the service's response token, and the server has to verify that token.
 *
-* @method checkNumber
-* @private
+@example
+    RegX.addCaptchaProvider('word', {
+        render: function($elem){
+            $elem.placeholder = 'Type the word "form" backwards';
+        },
+        verify: function(value){
+            return value.toLowerCase() === 'mrof';
+        }
+    });
+    <input type="text" name="captcha" data-regx-captcha="word">
+*
+* @method addCaptchaProvider
+* @param name {String} The name fields reference the provider by.
+* @param provider {Object} The provider, with render and verify methods and an optional destroy method.
 */
-function checkNumber($input) {
-	if($input.selector !== undefined) $input = $input[0];
+RegX.addCaptchaProvider = function(name, provider) {
+	CAPTCHA_PROVIDERS[name] = provider;
+};
 
-	var step        = parseFloat(attr($input, 'step')),
-	    max         = attr($input, 'max'),
-	    min         = attr($input, 'min'),
-	    num         = parseFloat($input.value),
-	    specialStep = false, //Special Step means that the value has to be the absolute value of the min plus or minus n where n is an integer.
-	    validStep   = false, // Logic sets this to true if it finds that the value is an even step.
-		tempMin,
-	    tempNum,
-		regexp = /^\d+$/;
+/**
+* This function gives a captcha field a new challenge and clears its answer, e.g. after a failed submission.
+* Fields with a challenge signed by the server keep it, unless their data-regx-captcha-challenge attribute is given a new one first.
+*
+@example
+    RegX.onFailure = function(e, ERRORS){
+        RegX.resetCaptcha(document.getElementById('captcha'));
+        return false;
+    };
+*
+* @method resetCaptcha
+* @param $elem {jQuery or DOM Element} The captcha field.
+*/
+RegX.resetCaptcha = function($elem) {
+	if($elem.selector !== undefined){ $elem = $elem[0]; }
+	$elem.value = '';
+	$elem.regxCaptcha = false;
+	renderCaptcha($elem);
+};
+
+/**
+* This function returns a ValidityState-like object for a field, with every flag the Constraint Validation API defines.
+* Where RegX only reports the first error it finds, every constraint the field breaks is flagged here.
+* The errors RegX adds to the spec, e.g. fileTooLarge, equalToMismatch or asyncMismatch, flag customError as they would in a browser, and are listed by name in the regxReasons array.
+* In browsers without a native Constraint Validation API, RegX.init adds validity, willValidate and validationMessage properties to every field of every form, backed by this function.
+*
+@example
+    var validity = RegX.getValidity(document.getElementById('ELEMENT_ID'));
+    if(validity.rangeOverflow){ alert('Too big!'); }
+*
+* @method getValidity
+* @param $elem {jQuery or DOM Element} The field you want the validity of.
+* @return {Object} Returns an object with the valueMissing, typeMismatch, patternMismatch, tooLong, tooShort, rangeUnderflow, rangeOverflow, stepMismatch, badInput, customError and valid flags, and the regxReasons array.
+*/
+RegX.getValidity = function($elem) {
+	if($elem.selector !== undefined){ $elem = $elem[0]; }
+	return getValidityState($elem).validity;
+};
+
+/**
+* This function flags a field as invalid from application code, e.g. after checking something RegX can't know about.
+* The field fails with a "customError" error, whose error_msg is the message, until the message is cleared by setting it to an empty string.
+* In browsers without a native Constraint Validation API, RegX.init adds a setCustomValidity method to every field of every form that calls this function.
+*
+@example
+    RegX.setCustomValidity(document.getElementById('password2'), 'The passwords do not match.');
+    //Clear it once the field is valid again.
+    RegX.setCustomValidity(document.getElementById('password2'), '');
+*
+* @method setCustomValidity
+* @param $elem {jQuery or DOM Element} The field to flag.
+* @param message {String} The error message, or an empty string to clear the error.
+*/
+RegX.setCustomValidity = function($elem, message) {
+	if($elem.selector !== undefined){ $elem = $elem[0]; }
+	$elem.regxCustomValidity = (message === null || message === undefined ? '' : message + '');
 	
-	if(isNaN(num)) { //Value MUST be a valid floating point number. If not, return with error.
-		throw {type: 'typeMismatch', msg: 'This is not a valid number.'};
-	}
+	//Keep the browser's own constraint validation in step.
+	if(!$elem.regxValidity && typeof $elem.setCustomValidity === 'function'){ $elem.setCustomValidity($elem.regxCustomValidity); }
+};
+
+/**
+* This function registers the error messages of a locale, so locale bundles can be shipped as separate files. Registering messages of a locale that already has some merges them, so single messages can be replaced as well.
+* Messages are keyed by error type, then by input type, with "default" used for the input types not listed. Values are put in through placeholders such as {max}, {min}, {step}, {base}, {pattern} and {values}.
+* Dates put in a message are formatted for the locale.
+*
+@example
+    RegX.addMessages('fr', {
+        "valueMissing"  : {"default": "Ce champ est obligatoire.", "checkbox": "Cette case doit être cochée."},
+        "typeMismatch"  : {"email": "Cette adresse e-mail n'est pas valide."},
+        "rangeOverflow" : {"number": "Ce nombre dépasse le maximum ({max}).", "date": "Cette date est après le {max}."}
+    });
+*
+* @method addMessages
+* @param locale {String} The locale of the messages, e.g. "fr" or "pt-BR".
+* @param messages {Object} The messages, keyed by error type, then by input type or "default".
+*/
+RegX.addMessages = function(locale, messages) {
+	var catalog,
+		entry,
+		type,
+		key;
 	
-	if(isNaN(step)) { //If step isn't set or is NaN, set temporarily to 0 and determine if it should be based on min value or set to default 1 value.
-		step = 0;
+	locale = (locale + '').toLowerCase();
+	catalog = MESSAGES[locale] = MESSAGES[locale] || {};
+	
+	for(type in messages){
+		if(!messages.hasOwnProperty(type)){ continue; }
+		//The messages are copied into the catalog, leaving the object passed in as it was.
+		entry = (typeof messages[type] === 'string' ? {'default': messages[type]} : messages[type]);
+		if(typeof catalog[type] !== 'object'){ catalog[type] = {}; }
+		
+		for(key in entry){
+			if(entry.hasOwnProperty(key)){ catalog[type][key] = entry[key]; }
+		}
 	}
+};
 
-	if(min==='any' || min==='') {
-		min = num - 1;
-	}
-	min = parseFloat(min);
+/**
+* This function changes the locale of the built-in error messages, see LOCALE.
+*
+@example
+    RegX.setLocale('fr');
+*
+* @method setLocale
+* @param locale {String} The locale, e.g. "fr" or "pt-BR", or null to go back to the lang attribute of the html element.
+*/
+RegX.setLocale = function(locale) {
+	LOCALE = (typeof locale === 'string' && locale !== '' ? locale : null);
+};
 
-	if(max==='any' || max==='') {
-		max = num + 1;
-	}
+/**
+* This function returns the locale the built-in error messages are currently in.
+*
+* @method getLocale
+* @return {String} Returns the locale, e.g. "en".
+*/
+RegX.getLocale = function() {
+	return getLocale();
+};
+
+/**
+* This function formats a telephone number in E.164 format (e.g. "+442079460958"), so the number can be stored or sent on in a normalized form, e.g. in RegX.onSuccess.
+* International numbers are recognized by their calling code, and only checked against the 15 digit limit of E.164 when RegX has no metadata for the calling code. National numbers need a country, which is read from the data-regx-country attribute when a field is passed in.
+* The numbers of a form's telephone inputs are passed to RegX.onSuccess and RegX.onFailure in E.164 format as well.
+*
+@example
+    RegX.formatE164(document.getElementById('phone'));
+
+@example
+    RegX.formatE164('020 7946 0958', 'GB'); //"+442079460958"
+*
+* @method formatE164
+* @param $elem {jQuery, DOM Element or String} The telephone input, or the telephone number itself.
+* @param country {String} Optional ISO 3166 country code of national numbers, e.g. "GB". Overrides the data-regx-country attribute.
+* @return {String|Boolean|null} Returns the number in E.164 format, false if it is not a valid telephone number or null if it is a national number of an unknown country.
+*/
+RegX.formatE164 = function($elem, country) {
+	if(typeof $elem === 'string'){ return parseTel($elem, (country ? country.toUpperCase() : null)); }
+	if($elem.selector !== undefined){ $elem = $elem[0]; }
+	return parseTel($elem.value, (country ? country.toUpperCase() : getTelCountry($elem)));
+};
+
+//Checks individual field
+function checkElementValidity($elem, returnError) {
+	var val       = $elem.value,
+		tag       = $elem.tagName.toLowerCase(),
+		name      = attr($elem,'name'),
+		required  = attr($elem,'required'),
+		disabled  = attr($elem,'disabled'),
+		readonly  = attr($elem,'readonly'),
+		pattern   = attr($elem,'pattern'),
+		max       = parseFloat(attr($elem, 'max')),
+		min       = parseFloat(attr($elem, 'min')),
+		maxlength = parseInt(attr($elem,'maxlength'),10),
+		minlength = parseInt(attr($elem,'minlength'),10);
+			
+	//When a form element is disabled, it is immutable.
+	if(disabled === true){ return true; }
+	
+	//Fields flagged invalid through setCustomValidity stay invalid until the message is cleared.
+	if(getCustomValidity($elem) !== ''){
+		return formatError({type: 'customError', msg: getCustomValidity($elem)});
+	}
+	
+	//Fields that failed their asynchronous validator stay invalid until their value changes or the check is run again.
+	if(getAsyncValidator($elem) && $elem.regxAsync && $elem.regxAsync.value === val && $elem.regxAsync.error){
+		return formatError($elem.regxAsync.error);
+	}
+	
+	//Captcha fields are checked by their provider before their other constraints. Plain fields, e.g. those of RegX.validatePayload, have no challenge to answer.
+	if(($elem.nodeType === 1 || $elem.regxElement) && getCaptchaProvider($elem)){
+		try{ checkCaptcha($elem); }
+		catch(e){ return formatError(e); }
+	}
+	
+	if(required === null || required === false){ required = false; }
+	else { required = true; }
+	
+	//Readonly makes these input types immutable: text, search, url, telephone, email, password, datetime, date, month, week, time, datetime-local, number
+	if((typeof readonly == 'string' && readonly !== '') || readonly === true){ readonly = true; }
+	else { readonly = false; }
+	
+	//Check the constraints that depend on other fields: data-regx-requiredif, data-regx-equalto, data-regx-after and data-regx-before
+	if(!readonly){
+		try{ checkRelations($elem); }
+		catch(e){ return formatError(e); }
+	}
+	
+	//Check maxlength property as long as 'USE_BETTER_VALIDATION' is true
+	if(USE_BETTER_VALIDATION && isNaN(maxlength) === false && maxlength > 0){
+		try{ checkMaxLength($elem); }
+		catch(e){ return formatError(e); }
+	}
+	
+	//Check minlength property on the types it applies to: text, search, url, telephone, email, password and textarea
+	if(isNaN(minlength) === false && minlength > 0 && (tag === 'textarea' || (tag === 'input' && /^(text|search|url|tel|email|password)$/i.test(attr($elem,'type') || 'text')))){
+		try{ checkMinLength($elem); }
+		catch(e){ return formatError(e); }
+	}
+	
+	//Validate select and textarea
+	switch(tag){
+		case 'select':
+			if(!readonly && required){
+				try{ VALIDATORS.select($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'textarea':
+			return (required && val.length === 0 ? formatError(createError('valueMissing', 'textarea')) : true);
+			break;
+		case 'button':
+			return true;
+			break;
+	}
+	
+	//Pattern attribute applies to these types: Text, Search, URL, Tel, Email, Password
+	if((pattern === null || pattern === '') && !getPattern($elem)){ pattern = false; }
+	else { pattern = true; }
+	
+	//Element Groups: http://www.w3.org/TR/2011/WD-html5-20110525/the-input-element.html#concept-input-mutable
+	
+	tag = (attr($elem,'type') || 'text').toLowerCase(); //change input tag to type, inputs without one are text inputs
+	
+	//Types registered through RegX.addType, by the type or data-regx-type attribute.
+	if(getCustomType($elem)){
+		if(pattern && val !== ""){
+			try{ checkPattern($elem); }
+			catch(e){ return formatError(e); }
+		}
+		if(!readonly && required){
+			try{ checkRequired($elem); }
+			catch(e){ return formatError(e); }
+		}
+		if(!readonly && trim(val) !== ''){
+			try{ VALIDATORS[TYPES[getCustomType($elem)]]($elem); }
+			catch(e){ return formatError(e); }
+		}
+		return true;
+	}
+	
+	switch(tag){
+		case 'hidden':
+		case 'submit':
+		case 'image':
+		case 'reset':
+		case 'button':
+			return true;
+			break;
+		case 'color':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.color($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'email':
+			if(pattern && val !== ""){
+				try{ checkPattern($elem); }
+				catch(e){ return formatError(e); }
+			}
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.email($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'url':
+			if(pattern && val !== ""){
+				try{ checkPattern($elem); }
+				catch(e){ return formatError(e); }
+			}
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.url($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'number':
+			//Sanitize Number Value - http://www.whatwg.org/specs/web-apps/current-work/multipage/states-of-the-type-attribute.html#number-state-(type=number)
+			if(USE_SANITATION && isNaN(parseFloat(val))){ $elem.value = ''; }
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.number($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'range':
+			//Sanitize Range Value - http://www.whatwg.org/specs/web-apps/current-work/multipage/states-of-the-type-attribute.html#range-state-(type=range)
+			if(USE_SANITATION && isNaN(parseFloat(val))){
+				$elem.value = min + ((max-min) / 2);
+				if(max < min){ $elem.value = min; }
+			}
+			if(required || val.length > 0){
+				try{ VALIDATORS.range($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'week':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.week($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'month':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.month($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'date':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.date($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'time':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.time($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'datetime-local':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS['datetime-local']($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'datetime':
+			if(!readonly && (required || val.length > 0)){
+				try{ VALIDATORS.datetime($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'checkbox':
+		case 'radio':
+			if(required){
+				try{ checkRequired($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'file':
+			if(required){
+				try{ checkRequired($elem); }
+				catch(e){ return formatError(e); }
+			}
+			if(val.length > 0 || ($elem.files && $elem.files.length > 0)){
+				try{ VALIDATORS.file($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		case 'tel':
+			if(pattern && val !== ""){
+				try{ checkPattern($elem); }
+				catch(e){ return formatError(e); }
+			}
+			if(!readonly && required){
+				try{ checkRequired($elem); }
+				catch(e){ return formatError(e); }
+			}
+			//The spec places no restrictions on telephone numbers, so they are only checked with "Better Validation".
+			if(USE_BETTER_VALIDATION && !readonly && trim(val) !== ''){
+				try{ VALIDATORS.tel($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+		default: //'Text', 'Search', 'Password', and any non spec types
+			if(pattern && val !== ""){
+				try{ checkPattern($elem); }
+				catch(e){ return formatError(e); }
+			}
+			if(!readonly && required){
+				try{ checkRequired($elem); }
+				catch(e){ return formatError(e); }
+			}
+			return true;
+			break;
+	}
+	//Format the error for returning.
+	function formatError(e){
+		var error;
+		if(returnError){
+			//Errors found before the input type is resolved, e.g. by checkMinLength, report the input type too.
+			error = {"name": name, "type": (tag === 'input' ? (attr($elem,'type') || 'text').toLowerCase() : tag), "value": val, "msg": getMessage($elem, e), "error":e.type, "error_msg": e.msg};
+			//The values of a list that failed, e.g. the addresses of an email input with the multiple attribute.
+			if(e.values){ error.error_values = e.values; }
+			//The values put in the message, e.g. the max attribute of a rangeOverflow error.
+			if(e.params){ error.error_params = e.params; }
+			return error;
+		}
+		return false;
+	}
+}
+
+/**
+* This function checks if the field is valid, assuming that the field IS required and only observing that fact.
+*
+* @method checkRequired
+* @private
+*/
+function checkRequired($input) {
+	if($input.selector !== undefined) $input = $input[0];
+	switch(attr($input,'type')) {
+		case 'checkbox':
+			if(!$input.checked){ throw createError('valueMissing', 'checkbox'); }
+			break;
+		case 'radio':
+			//Plain field objects stand for the whole group, as do the fields of a payload.
+			if(!$input.form || !$input.form.nodeName){
+				if(!$input.checked){ throw createError('valueMissing', 'radio'); }
+				return;
+			}
+			var radioName = attr($input, 'name'),
+					radioForm = $input.form.name,
+					radiosWithName = document.getElementsByName(radioName),
+					radioGroup = [], //This group contains an array of all the radio buttons in the same form with the same name.
+					i = 0;
+			for(i = 0; i < radiosWithName.length; i++) {
+				//Sort inputs to make sure that all of the radios with the same name are in the same form
+				if(radiosWithName[i].form.name === radioForm){
+					radioGroup.push(radiosWithName[i]);
+				}
+			}
+			for(i = 0; i < radioGroup.length; i++) {
+				if(radioGroup[i].checked){
+					return;
+				}
+			}
+			throw createError('valueMissing', 'radio');
+			break;
+		default:
+			if(trim($input.value, true).length === 0){ throw createError('valueMissing', attr($input,'type')); }
+			break;
+	}
+}
+
+/**
+* This function checks if the field is valid based on it's pattern attribute. __If no pattern attribute is supplied, this method returns false!__
+* If specified, the attribute's value must match the JavaScript Pattern production ([ECMA262]). The pattern is compiled with the "global, ignoreCase, and multiline flags disabled".
+* The named pattern referenced by the data-regx-pattern attribute is checked the same way, and uses its own default error message.
+*
+* @method checkPattern
+* @private
+*/
+function checkPattern($input) {
+	if($input.selector !== undefined) $input = $input[0];
+	var pattern = attr($input,'pattern'),
+		named = getPattern($input),
+		//Each address of an email input with the multiple attribute has to match on its own.
+		values = ((attr($input,'type') || '').toLowerCase() === 'email' && isMultiple($input) ? splitEmails($input.value) : [$input.value]),
+		i;
+	
+	//The error holds the patterns as written, so it can be sent on as JSON.
+	pattern = (pattern !== null && pattern !== '' ? {source: pattern, regex: new RegExp('^(?:'+pattern+')$')} : null);
+	if(named){ named = {source: named.pattern, regex: new RegExp('^(?:'+named.pattern+')$'), msg: named.msg}; }
+	
+	for(i = 0; i < values.length; i++){
+		if(pattern && !pattern.regex.test(values[i])){ throw createError('patternMismatch', null, {pattern: pattern.source}); }
+		if(named && !named.regex.test(values[i])){ throw (named.msg ? {type: 'patternMismatch', msg: named.msg, params: {pattern: named.source}} : createError('patternMismatch', null, {pattern: named.source})); }
+	}
+	return;
+}
+
+//Get the named pattern referenced by the data-regx-pattern attribute. Referencing a pattern that isn't registered is an error, unless a patterns file is still loading.
+function getPattern($input) {
+	var name = attr($input, 'data-regx-pattern');
+	
+	if(typeof name !== 'string' || name === ''){ return null; }
+	if(PATTERNS.hasOwnProperty(name)){ return PATTERNS[name]; }
+	if(patternsLoading > 0){ return null; }
+	throw new Error('RegX: the pattern "' + name + '" referenced by data-regx-pattern is not registered.');
+}
+//Check if a field references a pattern of a patterns file that is still loading
+function needsPatterns($elem){
+	var name = attr($elem, 'data-regx-pattern');
+	
+	return patternsLoading > 0 && typeof name === 'string' && name !== '' && !PATTERNS.hasOwnProperty(name);
+}
+//Check if any field of a form references a pattern of a patterns file that is still loading
+function needsPatternsForm($frm){
+	for(var i = 0; i < $frm.elements.length; i++){
+		if(needsPatterns($frm.elements[i])){ return true; }
+	}
+	return false;
+}
+
+/**
+* This function checks if the field's value exceeds the max length based on it's maxlength attribute. __If no maxlength attribute is supplied, this method returns false!__
+* If maxlength is specified as a float, the maxlength value is floored. Maxlength value must be a number >= 0 or else this property is effectively ignored.
+*
+* @method checkMaxLength
+* @private
+*/
+function checkMaxLength($input) {
+	if($input.selector !== undefined){ $input = $input[0]; }
+	if($input.value.length > parseInt(attr($input,'maxlength'),10)){
+		throw createError('tooLong', null, {maxlength: attr($input, 'maxlength')});
+	}
+}
+
+/**
+* This function checks if the field's value is shorter than the min length based on it's minlength attribute.
+* As the spec requires, only values that aren't empty and that the user has edited are too short. A value counts as edited when it differs from the field's default value.
+* If minlength is specified as a float, the minlength value is floored. Minlength value must be a number >= 0 or else this property is effectively ignored.
+*
+* @method checkMinLength
+* @private
+*/
+function checkMinLength($input) {
+	if($input.selector !== undefined){ $input = $input[0]; }
+	//Plain field objects have no default value, so their value always counts as edited.
+	if($input.value.length === 0 || (typeof $input.defaultValue === 'string' && $input.value === $input.defaultValue)){ return; }
+	if($input.value.length < parseInt(attr($input,'minlength'),10)){
+		throw createError('tooShort', null, {minlength: attr($input, 'minlength')});
+	}
+}
+
+/**
+* This function checks selects in more detail for various browsers.
+*
+* @method checkSelect
+* @private
+*/
+function checkSelect($select) {
+	if($select.selector !== undefined) $select = $select[0];
+	
+	var placeholderOptionVal; // value of placeholder
+
+	//Plain field objects have no options, so only their value can be checked.
+	if(!$select.options){
+		if(trim($select.value) === ''){ throw createError('valueMissing', 'select'); }
+		return;
+	}
+
+	// If the element has its required attribute specified, and either none of the option elements in the select element's list of options have their selectedness set to true, or the only option element in the select element's list of options with its selectedness set to true is the placeholder label option, then the element is suffering from being missing.
+	
+	//On submission the select input MUST have a value selected.
+	if($select.selectedIndex < 0){ throw createError('valueMissing', 'select'); }
+	
+	//If selected element value is placeholder label option...
+	if($select.value === ''){
+		//In older versions of IE, if the value attribute isn't set on the option, the value will be empty string in the DOM, but will still send a value to the server.
+		//The trick is determining IF the value truly is empty (which is an error) or if IE just thinks it is (not an error)
+		
+		//Check for other browsers
+		placeholderOptionVal = attr($select.options[0], 'value');
+		//Check if var is "specified" in IE
+		if($select.options[0].attributes.value && !$select.options[0].attributes.value.specified){
+			if(trim($select.options[0].innerHTML) === ''){ throw createError('valueMissing', 'placeholder'); }
+		} else {
+			if(placeholderOptionVal === '' || (placeholderOptionVal === null && trim($select.options[0].innerHTML) === '')){ throw createError('valueMissing', 'placeholder'); }
+		}	
+	}
+}
+
+/**
+* This function checks if the field's value is a valid color.
+* __The input color control shouldn't allow you to set the color to anything BUT a color.__
+* In a modern browser, checkValidity() should ALWAYS return true, because the default value for anything other than a valid hex color, is #000000.
+* When the setting RegX.USE_BETTER_VALIDATION is set to true, RegX allows the use of SVG color keywords or simple colors (ex. aliceblue or #f00).
+*
+* @method checkColor
+* @private
+*/
+function checkColor($input) {
+	if($input.selector !== undefined) $input = $input[0];
+	
+	var val = $input.value,
+	regex = /^#[a-f0-9]{6}$/i;
+	
+	if(regex.test(val)) {
+		return;
+	} else {
+		if(!USE_BETTER_VALIDATION || val.length === 0){
+			throw createError('typeMismatch', 'color', {example: '#FF0000'});
+		} else if(val.length === 0){
+			throw createError('valueMissing', 'color');
+		}
+		
+		//Do Legacy Color Value Parser
+		val = trim(val);
+		if(val.toLowerCase() === 'transparent'){
+			throw createError('typeMismatch', 'color', {example: '#FF0000'});
+		}
+		
+		//Check SVG color keywords
+		if(val === 'aliceblue' || val === 'antiquewhite' || val === 'aqua' || val === 'aquamarine' || val === 'azure' || val === 'beige' || val === 'bisque' || val === 'black' || val === 'blanchedalmond' || val === 'blue' || val === 'blueviolet' || val === 'brown' || val === 'burlywood' || val === 'cadetblue' || val === 'chartreuse' || val === 'chocolate' || val === 'coral' || val === 'cornflowerblue' || val === 'cornsilk' || val === 'crimson' || val === 'cyan' || val === 'darkblue' || val === 'darkcyan' || val === 'darkgoldenrod' || val === 'darkgray' || val === 'darkgreen' || val === 'darkgrey' || val === 'darkkhaki' || val === 'darkmagenta' || val === 'darkolivegreen' || val === 'darkorange' || val === 'darkorchid' || val === 'darkred' || val === 'darksalmon' || val === 'darkseagreen' || val === 'darkslateblue' || val === 'darkslategray' || val === 'darkslategrey' || val === 'darkturquoise' || val === 'darkviolet' || val === 'deeppink' || val === 'deepskyblue' || val === 'dimgray' || val === 'dimgrey' || val === 'dodgerblue' || val === 'firebrick' || val === 'floralwhite' || val === 'forestgreen' || val === 'fuchsia' || val === 'gainsboro' || val === 'ghostwhite' || val === 'gold' || val === 'goldenrod' || val === 'gray' || val === 'green' || val === 'greenyellow' || val === 'grey' || val === 'honeydew' || val === 'hotpink' || val === 'indianred' || val === 'indigo' || val === 'ivory' || val === 'khaki' || val === 'lavender' || val === 'lavenderblush' || val === 'lawngreen' || val === 'lemonchiffon' || val === 'lightblue' || val === 'lightcoral' || val === 'lightcyan' || val === 'lightgoldenrodyellow' || val === 'lightgray' || val === 'lightgreen' || val === 'lightgrey' || val === 'lightpink' || val === 'lightsalmon' || val === 'lightseagreen' || val === 'lightskyblue' || val === 'lightslategray' || val === 'lightslategrey' || val === 'lightsteelblue' || val === 'lightyellow' || val === 'lime' || val === 'limegreen' || val === 'linen' || val === 'magenta' || val === 'maroon' || val === 'mediumaquamarine' || val === 'mediumblue' || val === 'mediumorchid' || val === 'mediumpurple' || val === 'mediumseagreen' || val === 'mediumslateblue' || val === 'mediumspringgreen' || val === 'mediumturquoise' || val === 'mediumvioletred' || val === 'midnightblue' || val === 'mintcream' || val === 'mistyrose' || val === 'moccasin' || val === 'navajowhite' || val === 'navy' || val === 'oldlace' || val === 'olive' || val === 'olivedrab' || val === 'orange' || val === 'orangered' || val === 'orchid' || val === 'palegoldenrod' || val === 'palegreen' || val === 'paleturquoise' || val === 'palevioletred' || val === 'papayawhip' || val === 'peachpuff' || val === 'peru' || val === 'pink' || val === 'plum' || val === 'powderblue' || val === 'purple' || val === 'red' || val === 'rosybrown' || val === 'royalblue' || val === 'saddlebrown' || val === 'salmon' || val === 'sandybrown' || val === 'seagreen' || val === 'seashell' || val === 'sienna' || val === 'silver' || val === 'skyblue' || val === 'slateblue' || val === 'slategray' || val === 'slategrey' || val === 'snow' || val === 'springgreen' || val === 'steelblue' || val === 'tan' || val === 'teal' || val === 'thistle' || val === 'tomato' || val === 'turquoise' || val === 'violet' || val === 'wheat' || val === 'white' || val === 'whitesmoke' || val === 'yellow' || val === 'yellowgreen'){ return; }
+		
+		//Check simple color
+		if(val.length === 4 && /^#[a-f0-9]{3}$/i.test(val)){
+			return;
+		}
+
+		throw createError('typeMismatch', 'color', {example: '#F00'});
+	}
+}
+
+/**
+* This function checks if the field's value is a valid email address.
+* Spec: http://www.w3.org/TR/html5/states-of-the-type-attribute.html#e-mail-state-type-email
+* This method can use "Better Validation" based on  Arluison Guillaume's regex.
+* When the multiple attribute is set, the value is a comma separated list of addresses and each one is checked. The error lists the addresses that failed in error_values.
+*
+* @method checkEmail
+* @private
+*/
+function checkEmail($input) {
+	if($input.selector !== undefined) $input = $input[0];
+	
+	var email = trim($input.value),
+	regex = /^[a-zA-Z0-9.!#$%&'*+\/=?\^_`{|}~\-]+@[a-zA-Z0-9\-]+(?:\.[a-zA-Z0-9\-]+)*$/,
+	invalid = [],
+	emails,
+	i;
+	
+	if(USE_BETTER_VALIDATION) {
+		regex = /^[-a-z0-9~!$%^&*_=+}{\'?]+(\.[-a-z0-9~!$%^&*_=+}{\'?]+)*@([a-z0-9_][-a-z0-9_]*(\.[-a-z0-9_]+)*\.(aero|arpa|biz|com|coop|edu|gov|info|int|mil|museum|name|net|org|pro|travel|mobi|xxx|[a-z][a-z])|([0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}))(:[0-9]{1,5})?$/i;
+	} //'
+	
+	if(isMultiple($input)){
+		emails = splitEmails($input.value);
+		//A required list needs at least one address.
+		if(emails.length === 0 && attr($input, 'required') !== null && attr($input, 'required') !== false){ throw createError('valueMissing'); }
+		for(i = 0; i < emails.length; i++){
+			if(!regex.test(emails[i])){ invalid.push(emails[i]); }
+		}
+		if(invalid.length === 1){
+			throw createError('typeMismatch', 'email-value', {values: invalid});
+		} else if(invalid.length > 1){
+			throw createError('typeMismatch', 'email-values', {values: invalid});
+		}
+		return;
+	}
+	
+	if(!regex.test(email)){
+		throw createError('typeMismatch', 'email');
+	}
+	return;
+}
+//Split the value of an email input with the multiple attribute into its addresses. An empty value is an empty list.
+function splitEmails(val) {
+	var emails = [],
+		i;
+	
+	if(trim(val) === ''){ return emails; }
+	val = val.split(',');
+	for(i = 0; i < val.length; i++){ emails.push(trim(val[i])); }
+	return emails;
+}
+//Check if a field has the multiple attribute set
+function isMultiple($input) {
+	var multiple = attr($input, 'multiple');
+	return (multiple === true || typeof multiple === 'string');
+}
+
+/**
+* This function checks if the field's value is a valid URL.
+* Spec: http://www.w3.org/TR/html5/states-of-the-type-attribute.html#url-state-type-url
+* http://tools.ietf.org/html/rfc3986#section-3 - URI Must have a Scheme:
+*	Scheme = ALPHA *( ALPHA / DIGIT / "+" / "-" / "." )
+* This method can use "Better Validation" to do deeper checking for ftp and http/https (as Chrome does).
+*
+* @method checkURL
+* @private
+*/
+function checkURL($input) {
+	if($input.selector !== undefined) $input = $input[0];
+	
+	//Scheme = ALPHA *( ALPHA / DIGIT / "+" / "-" / "." )
+	var url = trim($input.value);
+	if(!/^[a-z][a-z\d+\-.]*:/i.test(url)) { //Global Scheme Check for Firefox, Safari, Opera and Chrome
+		 throw createError('typeMismatch', 'url');
+	}
+	//Path can be empty.
+	//On Chrome, path cannot be empty for ftp, http, or https.
+	if(USE_BETTER_VALIDATION && /^(ftp|https?):/i.test(url)) { //Chrome like FTP, HTTP, HTTPS Check
+		//Google Does not like these chars in url: @~=;[]%^
+		//Google Does not like these additional chars after authority path-abempty: :#\/
+		if(!/^(ftp|https?):(\/\/[^\/:#\\@~=;\[\]%\^][^@~=;\[\]%\^]*|\/[^\/:#\\@~=;\[\]%\^][^@~=;\[\]%\^]*|[^\/:#\\@~=;\[\]%\^][^\/@~=;\[\]%\^]*[^@~=;\[\]%\^]*)$/i.test(url)) {
+			throw createError('typeMismatch', 'url-web');
+		}
+	}
+	return;
+}
+
+/**
+* This function checks if the field's value is a valid telephone number. It is only used when USE_BETTER_VALIDATION is true, as the spec places no restrictions on telephone numbers.
+* International numbers ("+44 20 7946 0958" or "0044 20 7946 0958") are checked against the lengths of the national numbers of the country their calling code belongs to.
+* National numbers ("020 7946 0958") are checked against the country given by the data-regx-country attribute. It takes an ISO 3166 country code (e.g. "GB"), or the id or name of a field (e.g. a country select) that holds one.
+* National numbers of unknown countries only have to be between 4 and 15 digits long. Spaces, dashes, dots, slashes and brackets are allowed between the digits.
+*
+* @method checkTel
+* @private
+*/
+function checkTel($input) {
+	if($input.selector !== undefined) $input = $input[0];
+	
+	if(parseTel($input.value, getTelCountry($input)) === false){
+		throw createError('typeMismatch', 'tel');
+	}
+	return;
+}
+//Get the country of a telephone input from its data-regx-country attribute
+function getTelCountry($input) {
+	var country = attr($input, 'data-regx-country'),
+		$country;
+	
+	if(typeof country !== 'string' || country === ''){ return null; }
+	if(/^[a-z]{2}$/i.test(country) && TEL_METADATA.hasOwnProperty(country.toUpperCase())){ return country.toUpperCase(); }
+	
+	//The attribute references the field holding the country, e.g. a country select.
+	$country = getRelatedField($input, country);
+	return ($country && typeof $country.value === 'string' && $country.value !== '' ? $country.value.toUpperCase() : null);
+}
+//Parse a telephone number into E.164 format. Returns false if it is invalid or null if it is a national number of an unknown country.
+function parseTel(val, country) {
+	var digits = trim(val).replace(/[\s\-.\/()]/g, ''),
+		known = false,
+		meta,
+		code,
+		nsn,
+		i;
+	
+	if(!/^(\+)?\d+$/.test(digits)){ return false; }
+	
+	//International number: "+", "00" or, in North America, "011" followed by the calling code.
+	if(digits.charAt(0) === '+' || /^00/.test(digits) || (/^011/.test(digits) && country && TEL_METADATA.hasOwnProperty(country) && TEL_METADATA[country][0] === '1')){
+		digits = digits.replace(/^(\+|00|011)/, '');
+		for(i = 1; i <= 3; i++){
+			code = digits.slice(0, i);
+			nsn = digits.slice(i);
+			for(meta in TEL_METADATA){
+				if(TEL_METADATA.hasOwnProperty(meta) && TEL_METADATA[meta][0] === code){
+					if(isNationalNumber(TEL_METADATA[meta], nsn)){ return '+' + code + nsn; }
+					known = true;
+				}
+			}
+		}
+		//Calling code of a country without metadata, only the length limit of E.164 applies.
+		if(!known){ return (digits.length >= 4 && digits.length <= 15 ? '+' + digits : false); }
+		return false;
+	}
+	
+	//National number of an unknown country.
+	if(!country || !TEL_METADATA.hasOwnProperty(country)){
+		return (digits.length >= 4 && digits.length <= 15 ? null : false);
+	}
+	
+	//National number, strip the trunk prefix.
+	meta = TEL_METADATA[country];
+	nsn = digits;
+	if(meta[1] !== '' && nsn.indexOf(meta[1]) === 0 && !isNationalNumber(meta, nsn)){ nsn = nsn.slice(meta[1].length); }
+	return (isNationalNumber(meta, nsn) ? '+' + meta[0] + nsn : false);
+	
+	function isNationalNumber(meta, nsn){
+		return nsn.length >= meta[2] && nsn.length <= meta[3] && (meta[0] + nsn).length <= 15 && (!meta[4] || meta[4].test(nsn));
+	}
+}
+
+/**
+* This function checks if the field's value is a valid number.
+* Specify the min, max, and step to control which numbers are available.
+*
+* @method checkNumber
+* @private
+*/
+function checkNumber($input) {
+	if($input.selector !== undefined) $input = $input[0];
+
+	var step        = attr($input, 'step'),
+	    anyStep     = (typeof step === 'string' && trim(step).toLowerCase() === 'any'), //A step of "any" means there is no step constraint.
+	    max         = attr($input, 'max'),
+	    min         = attr($input, 'min'),
+	    num         = parseFloat($input.value),
+	    specialStep = false, //Special Step means that the value has to be the absolute value of the min plus or minus n where n is an integer.
+	    validStep   = false, // Logic sets this to true if it finds that the value is an even step.
+		tempMin,
+	    tempNum,
+		regexp = /^\d+$/;
+	
+	if(isNaN(num)) { //Value MUST be a valid floating point number. If not, return with error.
+		throw createError('typeMismatch', 'number');
+	}
+	
+	step = parseFloat(step);
+	
+	if(isNaN(step)) { //If step isn't set or is NaN, set temporarily to 0 and determine if it should be based on min value or set to default 1 value.
+		step = 0;
+	}
+
+	if(min==='any' || min==='') {
+		min = num - 1;
+	}
+	min = parseFloat(min);
+
+	if(max==='any' || max==='') {
+		max = num + 1;
+	}
 	max = parseFloat(max);
 	
-	//If step is less than or equal to 0, we use the MIN value as our step as recommended in the HTML5 standards.
-	if(step <= 0) {
-		//If no min and step set incorrectly, set to 1
-		if(isNaN(min) || min === 0) {
-			step = 1;
-		} else { //Special Step means that the value has to be the absolute value of the min plus or minus n where n is an integer.
-			specialStep = true;
+	//If step is less than or equal to 0, we use the MIN value as our step as recommended in the HTML5 standards.
+	if(step <= 0) {
+		//If no min and step set incorrectly, set to 1
+		if(isNaN(min) || min === 0) {
+			step = 1;
+		} else { //Special Step means that the value has to be the absolute value of the min plus or minus n where n is an integer.
+			specialStep = true;
+		}
+	}
+	
+	if(specialStep) {
+		tempMin = min.toString().split('.');
+    tempNum = num.toString().split('.');
+		tempMin = (tempMin.length === 1 ? 0.0 : '0.'+tempMin[1]);
+		tempNum = (tempNum.length === 1 ? 0.0 : '0.'+tempNum[1]);
+		
+		if(min < 0) {
+			tempMin = parseFloat(tempMin) * -1 + 1;
+		}
+		
+		if(num < 0) {
+			tempNum = parseFloat(tempNum) * -1 + 1;
+		}
+		
+		if(tempMin === tempNum) {
+			validStep = true;
+		}
+	} else {
+		//If you take the value and subtract the step.. and the result is evenly divisible by the step...
+		//Base 10 syntax would be something like: 
+		//if(/^\d+$/.test((num - min) % step)) { validStep = true; }
+		//However, Base 2 cannot accurately express some floats (like .1), so, we need to account for that.
+		//Use big.js library to help with the inaccuracies in the math.
+		
+		if(isNaN(min) && step === 1) {
+			//Min isn't set, so check that value is int.
+			if(regexp.test(num)) validStep = true;
+		} else if(regexp.test(new Big(num).minus(isNaN(min) ? 0 : min).mod(step).valueOf())) { //Without a min, the step base is zero.
+			validStep = true;
+		}
+	}
+	
+	if(!validStep && !anyStep){ throw createError('stepMismatch', 'number', {step: step}); }
+	if(!isNaN(max) && num > max){ throw createError('rangeOverflow', 'number', {max: max}); }
+	if(!isNaN(min) && num < min){ throw createError('rangeUnderflow', 'number', {min: min}); }
+	return;
+}
+
+/**
+* This function checks if the field's value is a valid number within a range.
+* The range input seems to be a different GUI on top of the number input type. If you look at the spec for input range, no matter what value you set, the browser should auto correct it for you.
+* __Since the spec assumes always valid (unless somehow, you pass in a "NaN"), RegX assumes always valid (unless somehow, you pass in a "NaN").__ The control will literally not allow you to move outside the range.
+* However, when USE_BETTER_VALIDATION is true, we treat range like a number and assume that it should be validated the same way.
+*
+* @method checkRange
+* @private
+*/
+function checkRange($input) {
+	if($input.selector !== undefined){ $input = $input[0]; }
+	
+	var num = parseFloat($input.value);
+	if(isNaN(num)){ throw createError('typeMismatch', 'number'); }
+	
+	if(USE_BETTER_VALIDATION){
+		try{ checkNumber($input); }
+		catch (e){ throw e; }
+	}
+	
+	return;
+}
+
+/**
+* This function checks if the field's value is a valid week, optionally within a range.
+* The week string must contain 4 digits for the year, followed by a dash, followed by a capital W, followed by two week digits, ranging from 01 to 53.
+* __The week input supports both a min and a max week. These strings must be valid week strings.__
+* The week input also supports a step attribute, which is an integer describing how many weeks one should step.
+*
+* @method checkWeek
+* @private
+*/
+function checkWeek($input){ //YYYY-"W"WW
+	if($input.selector !== undefined) $input = $input[0];
+
+	var val         = $input.value,
+	    max         = attr($input, 'max'),
+	    min         = attr($input, 'min'),
+		step        = attr($input, 'step'),
+		defaultstep = 1,
+		basestep    = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
+	    regex       = DATE_PATTERNS.week;
+			
+	if(USE_SANITATION) {
+		val = trim(val);
+		if(max) max = trim(max);
+		if(min) min = trim(min);
+		if(step) step = trim(step);
+		if(basestep) basestep = trim(basestep);
+	}
+
+	if(!regex.test(val)){ throw createError('typeMismatch', 'week'); }
+
+	val = gregorianWeek(val.match(regex)); //Match passes an array with three args
+
+	if(val && val.length === 2) {
+		if(regex.test(max)) {
+			max = gregorianWeek(max.match(regex));
+			if((max && max.length === 2) && max[0] < val[0] || (max[0] === val[0] && max[1] < val[1])){
+				throw createError('rangeOverflow', 'week', {max: formatDate('week', max)});
+			}
+		}
+
+		if(regex.test(min)) {
+			min = gregorianWeek(min.match(regex));
+			if((min && min.length === 2) && min[0] > val[0] || (min[0] === val[0] && min[1] > val[1])){
+				throw createError('rangeUnderflow', 'week', {min: formatDate('week', min)});
+			}
+			basestep = min;
+		} else {
+			//If no min, do basestep
+			//Base step in this case should be the value attr if it was set, otherwise set it to the first week of 1970 it out.
+			basestep = (regex.test(basestep) ? gregorianWeek(basestep.match(regex)) : [1970,1]);
+			if(basestep === false){ basestep = [1970,1]; }
+		}
+		
+		//Check Step
+		if(step !== 'any'){
+			if(!/^\d+$/.test(step)){ step = defaultstep; }
+			else { step = parseInt(step, 10); }
+			//Basestep is 1970-W01 unless the following.
+			//If val is present, it is the basestep unless min is present.
+			//If min is present, it is the basestep.
+			if(spanWeeks(basestep, val) % step !== 0){
+				throw createError('stepMismatch', 'week', {step: step, base: formatDate('week', basestep)});
+			}
+		}
+
+		return;
+	}
+
+	throw createError('typeMismatch', 'week');
+
+	function spanWeeks(base, val){
+		//Determine amount of weeks in between span of years
+		var numweeks = 0,
+		    i;
+
+		for(i = base[0]; i < val[0]; i++){
+			numweeks += (is53Weeks(i) ? 53 : 52);
+		}
+
+		//Subtract weeks you're already into base year.
+		numweeks -= base[1];
+
+		//Add weeks you haven't yet added in for the value year
+		numweeks += val[1];
+
+		return numweeks;
+	}
+	// Check if the week is gregorian
+	function gregorianWeek(val) {
+		var year = parseInt(val[1],10),
+		    week = parseInt(val[2],10);
+
+		if(1 > year || 1 > week || week > 53 || (week === 53 && !is53Weeks(year))){
+			return false;
+		}
+
+		return [year, week];
+	}
+	function is53Weeks(y){
+		//Years that Jan 1 start on Thursday even on leap year or Leap Year where Jan 1 starts on Wednesday
+		var d = new Date(y+'-01-01').getDay();
+		if(d !== 2 && d !== 3 || (d === 2 && !isLeapYear(y))){
+			return false;
+		}
+		return true;
+	}
+}
+
+/**
+* This function checks if the field's value is a valid month, optionally within a range.
+* The month string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12.
+* __The month input supports both a min and a max month. These strings must be valid month strings.__
+* The month input also supports a step attribute, which is an integer describing how many months one should step.
+*
+* @method checkMonth
+* @private
+*/
+function checkMonth($input){ //YYYY-MM
+	if($input.selector !== undefined) $input = $input[0];
+
+	var val         = $input.value,
+	    max         = attr($input, 'max'),
+	    min         = attr($input, 'min'),
+		step        = attr($input, 'step'),
+		defaultstep = 1,
+		basestep    = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
+	    regex       = DATE_PATTERNS.month;
+			
+	if(USE_SANITATION) {
+		val = trim(val);
+		if(max) max = trim(max);
+		if(min) min = trim(min);
+		if(step) step = trim(step);
+		if(basestep) basestep = trim(basestep);
+	}
+
+	if(!regex.test(val)){ throw createError('typeMismatch', 'month'); }
+
+	val = gregorianMonth(val.match(regex)); //Match passes an array with three args
+
+	if(val && val.length === 2) {
+		//Check Max Month
+		if(regex.test(max)) {
+			max = gregorianMonth(max.match(regex));
+			if((max && max.length === 2) && max[0] < val[0] || (max[0] === val[0] && max[1] < val[1])){
+				throw createError('rangeOverflow', 'month', {max: formatDate('month', max)});
+			}
+		}
+		//Check Min Month
+		if(regex.test(min)) {
+			min = gregorianMonth(min.match(regex));
+			if((min && min.length === 2) && min[0] > val[0] || (min[0] === val[0] && min[1] > val[1])){
+				throw createError('rangeUnderflow', 'month', {min: formatDate('month', min)});
+			}
+			basestep = min;
+		} else {
+			//If no min, do basestep
+			//Base step in this case should be the value attr if it was set, otherwise zero it out.
+			basestep = (regex.test(basestep) ? gregorianMonth(basestep.match(regex)) : [1970,1]);
+			if(basestep === false){ basestep = [1970,1]; }
+		}
+		
+		//Check Step
+		if(step !== 'any'){
+			if(!/^\d+$/.test(step)){ step = defaultstep; }
+			else { step = parseInt(step, 10); }
+			
+			//Basestep is 1970-01 unless the following.
+			//If max is present, it is the basestep unless min is present.
+			//If min is present, it is the basestep.
+			if(spanMonths(basestep, val) % step !== 0){
+				throw createError('stepMismatch', 'month', {step: step, base: formatDate('month', basestep)});
+			}
+		}
+
+		return;
+	}
+
+	throw createError('typeMismatch', 'month');
+	
+	function spanMonths(base, val){
+		return ((val[0]-base[0]) * 12) - base[1] + val[1];
+	}
+}
+function gregorianMonth(val) {
+	var year = parseInt(val[1],10),
+		month = parseInt(val[2],10);
+
+	if(1 > year || 1 > month || month > 12){
+		return false;
+	}
+
+	return [year, month];
+}
+
+/**
+* This function checks if the field's value is a valid date, optionally within a range.
+* The date string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12, followed by a dash, followed by two day digits, ranging from 01 and 31.
+* __The date input supports both a min and a max date. These strings must be valid date strings.__
+* The date input also supports a step attribute, which is an integer describing how many days one should step.
+*
+* @method checkMonth
+* @private
+*/
+function checkDate($input){ //YYYY-MM-DD
+	if($input.selector !== undefined) $input = $input[0];
+
+	var val         = $input.value,
+	    max         = attr($input, 'max'),
+	    min         = attr($input, 'min'),
+		step        = attr($input, 'step'),
+		defaultstep = 1,
+		basestep    = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
+		regex       = DATE_PATTERNS.date,
+		tDate;
+			
+	if(USE_SANITATION) {
+		val = trim(val);
+		if(max) max = trim(max);
+		if(min) min = trim(min);
+		if(step) step = trim(step);
+		if(basestep) basestep = trim(basestep);
+	}
+
+	if(!regex.test(val)){ throw createError('typeMismatch', 'date'); }
+	
+	val = gregorianDate(val.match(regex)); //Match passes an array with four args
+	
+	if(val && val.length === 3) {
+		//Val in milliseconds since epoch
+		//Must subtract 1 from val[1] because months are zero based. e.g. January = '0';
+		tDate = new Date(val[0],(val[1]-1),val[2]).getTime();
+		//Check Max Date
+		if(regex.test(max)) {
+			max = gregorianDate(max.match(regex));
+			if((max && max.length === 3) && (new Date(max[0],(max[1]-1),max[2]).getTime() < tDate)){
+				throw createError('rangeOverflow', 'date', {max: formatDate('date', max)});
+			}
+		}
+		//Check Min Date
+		if(regex.test(min)) {
+			min = gregorianDate(min.match(regex));
+			if((min && min.length === 3) && (new Date(min[0],(min[1]-1),min[2]).getTime() > tDate)){
+				throw createError('rangeUnderflow', 'date', {min: formatDate('date', min)});
+			}
+			basestep = min;
+		} else{
+			//If no min, do basestep
+			//Base step in this case should be the value attr if it was set, otherwise zero it out.
+			basestep = (regex.test(basestep) ? gregorianDate(basestep.match(regex)) : [1970,1,1]);
+			if(basestep === false){ basestep = [1970,1,1]; }
+		}
+		//Check Step
+		if(step !== 'any'){
+			if(!/^\d+$/.test(step)){ step = defaultstep; }
+			else { step = parseInt(step, 10); }
+	
+			//Basestep is 1970-01-01 unless the following.
+			//If max is present, it is the basestep unless min is present.
+			//If min is present, it is the basestep.
+			if(spanDays(basestep, val) % step !== 0){
+				throw createError('stepMismatch', 'date', {step: step, base: formatDate('date', basestep)});
+			}
+		}
+		
+		return;
+	}
+	
+	throw createError('typeMismatch', 'date');
+
+	function spanDays(base, val){
+		//Determine amount of weeks in between span of years
+		//86400000 = milliseconds in a day.
+		return (new Date(base[0],(base[1]-1),base[2]).getTime() - new Date(val[0],(val[1]-1),val[2]).getTime()) / 86400000;
+	}
+}
+function gregorianDate(val) {
+	var year,
+		month,
+		day = parseInt(val[3],10);
+		
+	//Check to see if month year string is valid.
+	val = gregorianMonth(val);
+	if(!val) { return false; }
+	year = val[0];
+	month = val[1];
+	
+	//Check day to make sure it's valid for the year.
+	if(1 > day || day > 31 || (day > 30 && (month === 4 || month === 6 || month === 9 || month === 11)) || (month === 2 && (day > 29 || (day > 28 && !isLeapYear(year))))){
+		return false;
+	}
+
+	return [year, month, day];
+}
+
+/**
+* This function checks if the field's value is a valid time, optionally within a range.
+* The time string must contain 2 digits for the hour ranging from 00 to 23, followed by a colon, followed by 2 minute digits, ranging from 00 to 59, optionally followed by a colon and two seconds digits, ranging from 00 to 59, optionally followed by a period and from one to three digits representing fractional seconds.
+* __The time input supports both a min and a max time. These strings must be valid time strings.__
+* The time input also supports a step attribute, which is an integer describing how many seconds one should step.
+*
+* @method checkMonth
+* @private
+*/
+function checkTime($input){ //HH:MM{:SS{.F{F{F}}}}
+	if($input.selector !== undefined) $input = $input[0];
+
+	var val          = $input.value,
+	    max          = attr($input, 'max'),
+	    min          = attr($input, 'min'),
+		step         = attr($input, 'step'),
+		defaultstep  = 60, //Default step is 60 seconds
+		basestep     = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
+	    regex        = DATE_PATTERNS.time,
+		tDate;
+					
+	if(USE_SANITATION) {
+		val = trim(val);
+		if(max) max = trim(max);
+		if(min) min = trim(min);
+		if(step) step = trim(step);
+		if(basestep) basestep = trim(basestep);
+	}
+	
+	if(!regex.test(val)){ throw createError('typeMismatch', 'time'); }
+	
+	val = gregorianTime(val.match(regex));
+	
+	if(val && val.length === 4) { //Match passes an array with 7,5 or 3 args
+		tDate = new Date(1970,0,1,val[0],val[1],val[2],val[3]).getTime();
+	
+		//Check Max Time
+		if(regex.test(max)) {
+			max = gregorianTime(max.match(regex));
+			if((max && max.length === 4) && (new Date(1970,0,1,max[0],max[1],max[2],max[3]).getTime() < tDate)){
+				throw createError('rangeOverflow', 'time', {max: formatDate('time', max)});
+			}
+		}
+		//Check Min Date
+		if(regex.test(min)) {
+			min = gregorianTime(min.match(regex));
+			if((min && min.length === 4) && (new Date(1970,0,1,min[0],min[1],min[2],min[3]).getTime() > tDate)){
+				throw createError('rangeUnderflow', 'time', {min: formatDate('time', min)});
+			}
+			basestep = min;
+		} else{
+			//If no min, do basestep
+			//Base step in this case should be the value attr if it was set, otherwise zero it out.
+			basestep = (regex.test(basestep) ? gregorianTime(basestep.match(regex)) : [0,0,0,0]);
+			if(basestep === false){ basestep = [0,0,0,0]; }
+		}
+		
+		//Check Step
+		if(step !== 'any'){
+			if(!/^\d+$/.test(step)){ step = defaultstep; }
+			else { step = parseInt(step, 10); }
+			
+			//Basestep is the value unless the min is present.
+			if(spanTime(basestep, val) % step !== 0){
+				throw createError('stepMismatch', 'time', {step: step, base: formatDate('time', basestep)});
+			}
+			
 		}
+	
+		return;
 	}
 	
-	if(specialStep) {
-		tempMin = min.toString().split('.');
-    tempNum = num.toString().split('.');
-		tempMin = (tempMin.length === 1 ? 0.0 : '0.'+tempMin[1]);
-		tempNum = (tempNum.length === 1 ? 0.0 : '0.'+tempNum[1]);
+	throw createError('typeMismatch', 'time');
+	
+	function spanTime(base, val){
+		//Determine amount of time in between span of times
+		//1000 = milliseconds in a second.
+		return (new Date(1970,0,1,base[0],base[1],base[2],base[3]).getTime() - new Date(1970,0,1,val[0],val[1],val[2],val[3]).getTime()) / 1000;
+	}
+}
+function gregorianTime(val){
+	var hour     = parseInt(val[1],10),
+		minute   = parseInt(val[2],10),
+		second   = (typeof val[4] !== 'undefined' ? parseInt(val[4],10) : 0),
+		fraction = (typeof val[6] !== 'undefined' ? parseInt(pad(3, val[6], true),10) : 0);
+	
+	//Check day to make sure it's valid for the year.
+	if(hour < 0 || hour > 23 || minute < 0 || minute > 59 || second < 0 || second > 59 || fraction < 0 || fraction > 999){
+		return false;
+	}
 		
-		if(min < 0) {
-			tempMin = parseFloat(tempMin) * -1 + 1;
+	return [hour,minute,second,fraction];
+}
+
+/**
+* This function checks if the field's value is a valid datetime (not including timezones), optionally within a range.
+* The datetime string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12, followed by a dash, followed by two day digits, ranging from 01 and 31, followed by a space or the letter 'T', followed by 2 digits for the hour ranging from 00 to 23, followed by a colon, followed by 2 minute digits, ranging from 00 to 59, optionally followed by a colon and two seconds digits, ranging from 00 to 59, optionally followed by a period and from one to three digits representing fractional seconds.
+* __The datetime-local input supports both a min and a max datetime. These strings must be valid datetime-local strings.__
+* The datetime-local input also supports a step attribute, which is an integer describing how many seconds one should step.
+*
+* @method checkDatetimelocal
+* @private
+*/
+function checkDatetimelocal($input){ //YYYY-MM-DD HH:MM(:SS{:F{F{F}}}) or YYYY-MM-DD"T"HH:MM(:SS{:F{F{F}}})
+	if($input.selector !== undefined) $input = $input[0];
+	
+	var val          = $input.value,
+	    max          = attr($input, 'max'),
+	    min          = attr($input, 'min'),
+		step         = attr($input, 'step'),
+		defaultstep  = 60, //Default step is 60 seconds
+		basestep     = attr($input, 'value'),
+		regex        = DATE_PATTERNS['datetime-local'],
+		tDate;
+					
+	if(USE_SANITATION) {
+		val = trim(val);
+		if(max) max = trim(max);
+		if(min) min = trim(min);
+		if(step) step = trim(step);
+		if(basestep) basestep = trim(basestep);
+	}
+	
+	if(!regex.test(val)){ throw createError('typeMismatch', 'datetime-local'); }
+	
+	val = gregorianDateTimeLocal(val.match(regex));
+
+	if(val && val.length === 7) {
+		tDate = new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime();
+	
+		//Check Max Time
+		if(regex.test(max)) {
+			max = gregorianDateTimeLocal(max.match(regex));
+			if((max && max.length === 7) && (new Date(max[0],(max[1]-1),max[2],max[3],max[4],max[5],max[6]).getTime() < tDate)){
+				throw createError('rangeOverflow', 'datetime-local', {max: formatDate('datetime-local', max)});
+			}
 		}
 		
-		if(num < 0) {
-			tempNum = parseFloat(tempNum) * -1 + 1;
+		//Check Min Date
+		if(regex.test(min)) {
+			min = gregorianDateTimeLocal(min.match(regex));
+			if((min && min.length === 7) && (new Date(min[0],(min[1]-1),min[2],min[3],min[4],min[5],min[6]).getTime() > tDate)){
+				throw createError('rangeUnderflow', 'datetime-local', {min: formatDate('datetime-local', min)});
+			}
+			basestep = min;
+		} else{
+			//If no min, do basestep
+			//Base step in this case should be the value attr if it was set, otherwise zero it out.
+			basestep = (regex.test(basestep) ? gregorianDateTimeLocal(basestep.match(regex)) : [1970,1,1,0,0,0,0]);
+			if(basestep === false){ basestep = [1970,1,1,0,0,0,0]; }
+		}
+		
+		//Check Step
+		if(step !== 'any'){
+			if(!/^\d+$/.test(step)){ step = defaultstep; }
+			else { step = parseInt(step, 10); }
+			
+			//Basestep is the value unless the min is present.
+			if(spanDateTimeLocal(basestep, val) % step !== 0){
+				throw createError('stepMismatch', 'datetime-local', {step: step, base: formatDate('datetime-local', basestep)});
+			}
+			
+		}
+
+		return;
+	}
+
+	throw createError('typeMismatch', 'datetime-local');
+	
+	function spanDateTimeLocal(base, val){
+		//Determine amount of time in between span of times
+		//1000 = milliseconds in a second.
+		return (new Date(base[0],(base[1]-1),base[2],base[3],base[4],base[5],base[6]).getTime() - new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime()) / 1000;
+	}
+}
+function gregorianDateTimeLocal(val){
+	var year,
+		month,
+		day,
+		hour,
+		minute,
+		second,
+		fraction,
+		valt = gregorianDate(val);
+	
+	//Check to see if date string is valid.
+	if(!valt) { return false; }
+	year = valt[0];
+	month = valt[1];
+	day = valt[2];
+	
+	//Check to see if time string is valid.
+	valt = gregorianTime(val.slice(4));
+	if(!valt) { return false; }
+	hour = valt[0];
+	minute = valt[1];
+	second = valt[2];
+	fraction = valt[3];
+	
+	return [year,month,day,hour,minute,second,fraction];
+}
+
+/**
+* This function checks if the field's value is a valid datetime (including timezones), optionally within a range.
+* The datetime string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12, followed by a dash, followed by two day digits, ranging from 01 and 31, followed by a space or the letter 'T', followed by 2 digits for the hour ranging from 00 to 23, followed by a colon, followed by 2 minute digits, ranging from 00 to 59, optionally followed by a colon and two seconds digits, ranging from 00 to 59, optionally followed by a period and from one to three digits representing fractional seconds, followed by a UTC timezone, which can be expressed by the letter 'Z' or a +/- symbol followed by 2 digits for an hour offset followed by 2 digits for a minute offset.
+* __The datetime input supports both a min and a max datetime. These strings must be valid datetime strings.__
+* The datetime input also supports a step attribute, which is an integer describing how many seconds one should step.
+*
+* @method checkDatetime
+* @private
+*/
+
+
+function checkDatetime($input){//YYYY-MM-DD HH:MM(:SS{:F{F{F}}})Z|[+-]HH:MM or YYYY-MM-DD"T"HH:MM(:SS{:F{F{F}}})Z|[+-]HH:MM
+	if($input.selector !== undefined) $input = $input[0];
+	
+	var val          = $input.value,
+	    max          = attr($input, 'max'),
+	    min          = attr($input, 'min'),
+		step         = attr($input, 'step'),
+		defaultstep  = 60, //Default step is 60 seconds
+		basestep     = attr($input, 'value'),
+		regex        = DATE_PATTERNS.datetime,
+		tDate;
+					
+	if(USE_SANITATION) {
+		val = trim(val);
+		if(max) max = trim(max);
+		if(min) min = trim(min);
+		if(step) step = trim(step);
+		if(basestep) basestep = trim(basestep);
+	}
+	
+	if(!regex.test(val)){ throw createError('typeMismatch', 'datetime'); }
+	
+	val = gregorianDateTime(val.match(regex));
+
+	if(val && val.length === 10) {
+		tDate = new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime() + timezoneToMilli(val[7],val[8],val[9]);
+	
+		//Check Max Time
+		if(regex.test(max)) {
+			max = gregorianDateTime(max.match(regex));
+			if((max && max.length === 10) && (new Date(max[0],(max[1]-1),max[2],max[3],max[4],max[5],max[6]).getTime() + timezoneToMilli(max[7],max[8],max[9]) < tDate)){
+				throw createError('rangeOverflow', 'datetime', {max: formatDate('datetime', max)});
+			}
+		}
+
+		//Check Min Date
+		if(regex.test(min)) {
+			min = gregorianDateTime(min.match(regex));
+			if((min && min.length === 10) && (new Date(min[0],(min[1]-1),min[2],min[3],min[4],min[5],min[6]).getTime() + timezoneToMilli(min[7],min[8],min[9]) > tDate)){
+				throw createError('rangeUnderflow', 'datetime', {min: formatDate('datetime', min)});
+			}
+			basestep = min;
+		} else{
+			//If no min, do basestep
+			//Base step in this case should be the value attr if it was set, otherwise zero it out.
+			basestep = (regex.test(basestep) ? gregorianDateTime(basestep.match(regex)) : [1970,1,1,0,0,0,0,0,0,'+']);
+			if(basestep === false){ basestep = [1970,1,1,0,0,0,0,0,0,'+']; }
+		}
+		
+		//Check Step
+		if(step !== 'any'){
+			if(!/^\d+$/.test(step)){ step = defaultstep; }
+			else { step = parseInt(step, 10); }
+			
+			//Basestep is the value unless the min is present.
+			if(spanDateTime(basestep, val) % step !== 0){
+				throw createError('stepMismatch', 'datetime', {step: step, base: formatDate('datetime', basestep)});
+			}
+			
 		}
 		
-		if(tempMin === tempNum) {
-			validStep = true;
-		}
+		return;	
+	}
+
+	throw createError('typeMismatch', 'datetime');
+	
+	function timezoneToMilli(h,m,s){
+		//3600000 milliseconds in hour
+		//60000 milliseconds in a minute
+		return (h * 3600000) + parseInt(s+(m*60000),10);
+	}
+	function spanDateTime(base, val){
+		//Determine amount of time in between span of times
+		//1000 = milliseconds in a second.
+		return (new Date(base[0],(base[1]-1),base[2],base[3],base[4],base[5],base[6]).getTime() + timezoneToMilli(base[7],base[8],base[9]) - new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime() + timezoneToMilli(val[7],val[8],val[9])) / 1000;
+	}
+}
+function gregorianDateTime(val){
+	var year,
+		month,
+		day,
+		hour,
+		minute,
+		second,
+		fraction,
+		tsign,
+		thour,
+		tminute,
+		valt = gregorianDateTimeLocal(val);
+	
+	//Check to see if datetime-local string is valid.
+	if(!valt) { return false; }
+	year = valt[0];
+	month = valt[1];
+	day = valt[2];
+	hour = valt[3];
+	minute = valt[4];
+	second = valt[5];
+	fraction = valt[6];
+	
+	//If Z, timezone is UTC +00:00
+	if(val[11] == 'Z'){
+		tsign = '+';
+		thour = 0;
+		tminute = 0;
 	} else {
-		//If you take the value and subtract the step.. and the result is evenly divisible by the step...
-		//Base 10 syntax would be something like: 
-		//if(/^\d+$/.test((num - min) % step)) { validStep = true; }
-		//However, Base 2 cannot accurately express some floats (like .1), so, we need to account for that.
-		//Use big.js library to help with the inaccuracies in the math.
-		
-		if(isNaN(min) && step === 1) {
-			//Min isn't set, so check that value is int.
-			if(regexp.test(num)) validStep = true;
-		} else if(regexp.test(new Big(num).minus(min).mod(step).valueOf())) {
-			validStep = true;
+		tsign = val[13];
+		thour = parseInt(val[13]+val[14],10);
+		tminute = parseInt(pad(2, val[15]),10);
+
+		//If better validation, check to see if the timezone is real.
+		if(USE_BETTER_VALIDATION){
+			//Range of offsets of actual time zones is -12:00 to +14:00
+			//Possible Values of UTC Time Offsets:  -12, -11, -10, -9:30, -9, -8, -7, -6, -5, -4:30, -4, -3:30, -3, -2, -1, 0 or 'Z', +1, +2, +3, +3:30, +4, +4:30, +5, +5:30, +5:45, +6, +6:30, +7, +8, +8:45, +9, +9:30, +10, +10:30, +11, +11:30, +12, +12:45, +13, +14
+			
+			switch(tminute){
+				case 0:
+					if(thour < -12 || thour > 14){ return false; }
+					break;
+				case 30:
+					if(Math.abs(thour) !== 4 && Math.abs(thour) !== 3 && Math.abs(thour) !== 9 && thour !== 5 && thour !== 6 && thour !== 10 && thour !== 11){
+						return false;
+					}
+					break;
+				case 45:
+					if(thour !== 5 && thour !== 8 && thour !== 12){ return false; }
+					break;
+				default:
+					return false;
+					break;
+			}
 		}
 	}
 	
-	if(!validStep){ throw {type: 'stepMismatch', msg: 'This number is not a valid step ('+step+').'}; }
-	if(!isNaN(max) && num > max){ throw {type: 'rangeOverflow', msg: 'This number is larger than the maximum ('+max+').'}; }
-	if(!isNaN(min) && num < min){ throw {type: 'rangeUnderflow', msg: 'This number is smaller than the minimum ('+min+').'}; }
-	return;
+	return [year,month,day,hour,minute,second,fraction,thour,tminute,tsign];	
 }
-
 /**
-* This function checks if the field's value is a valid number within a range.
-* The range input seems to be a different GUI on top of the number input type. If you look at the spec for input range, no matter what value you set, the browser should auto correct it for you.
-* __Since the spec assumes always valid (unless somehow, you pass in a "NaN"), RegX assumes always valid (unless somehow, you pass in a "NaN").__ The control will literally not allow you to move outside the range.
-* However, when USE_BETTER_VALIDATION is true, we treat range like a number and assume that it should be validated the same way.
+* This function checks the files selected in a file input against its accept attribute and RegX's size and count constraints.
+* The accept attribute takes MIME types (e.g. "application/pdf"), wildcards ("image/*", "audio/*" or "video/*") and extensions (e.g. ".png"). Files whose MIME type the browser can't tell only have to match an extension when one is given.
+* The data-regx-maxsize and data-regx-minsize attributes limit the size of each file, in bytes or with a KB, MB or GB suffix (e.g. "2MB"). The data-regx-maxfiles attribute limits the amount of files.
+* Each constraint has its own error type: fileTypeMismatch, fileTooLarge, fileTooSmall and tooManyFiles. The error lists the names of the files that failed in error_values.
+* In browsers without the File API, only the extension of the selected file can be checked.
 *
-* @method checkRange
+* @method checkFile
 * @private
 */
-function checkRange($input) {
-	if($input.selector !== undefined){ $input = $input[0]; }
+function checkFile($input) {
+	if($input.selector !== undefined) $input = $input[0];
 	
-	var num = parseFloat($input.value);
-	if(isNaN(num)){ throw {type: 'typeMismatch', msg: 'This is not a valid number.'}; }
+	var files    = getFiles($input),
+		accept   = attr($input, 'accept'),
+		maxsize  = parseSize(attr($input, 'data-regx-maxsize')),
+		minsize  = parseSize(attr($input, 'data-regx-minsize')),
+		maxfiles = parseInt(attr($input, 'data-regx-maxfiles'), 10),
+		invalid  = [],
+		i;
 	
-	if(USE_BETTER_VALIDATION){
-		try{ checkNumber($input); }
-		catch (e){ throw e; }
+	if(!isNaN(maxfiles) && files.length > maxfiles){
+		throw createError('tooManyFiles', 'file', {max: maxfiles});
+	}
+	
+	if(typeof accept === 'string' && trim(accept) !== ''){
+		accept = accept.toLowerCase().split(',');
+		for(i = 0; i < files.length; i++){
+			if(!isAccepted(files[i], accept)){ invalid.push(files[i].name); }
+		}
+		if(invalid.length > 0){ throw createError('fileTypeMismatch', 'file', {values: invalid}); }
+	}
+	
+	if(!isNaN(maxsize)){
+		for(i = 0; i < files.length; i++){
+			if(files[i].size > maxsize){ invalid.push(files[i].name); }
+		}
+		if(invalid.length > 0){ throw createError('fileTooLarge', 'file', {max: trim(attr($input, 'data-regx-maxsize')), values: invalid}); }
 	}
 	
+	if(!isNaN(minsize)){
+		for(i = 0; i < files.length; i++){
+			if(files[i].size < minsize){ invalid.push(files[i].name); }
+		}
+		if(invalid.length > 0){ throw createError('fileTooSmall', 'file', {min: trim(attr($input, 'data-regx-minsize')), values: invalid}); }
+	}
 	return;
+	
+	function isAccepted(file, accept){
+		var name = file.name.toLowerCase(),
+			type = (file.type || '').toLowerCase(),
+			hasExtension = false,
+			token,
+			i;
+		
+		for(i = 0; i < accept.length; i++){
+			token = trim(accept[i]);
+			if(token.charAt(0) === '.'){
+				hasExtension = true;
+				if(name.length > token.length && name.slice(-token.length) === token){ return true; }
+			} else if(type !== ''){
+				if(token === type || (/^(image|audio|video)\/\*$/.test(token) && type.indexOf(token.slice(0, -1)) === 0)){ return true; }
+			}
+		}
+		//Without a MIME type, only the extensions can be checked.
+		return (type === '' && !hasExtension);
+	}
 }
-
 /**
-* This function checks if the field's value is a valid week, optionally within a range.
-* The week string must contain 4 digits for the year, followed by a dash, followed by a capital W, followed by two week digits, ranging from 01 to 53.
-* __The week input supports both a min and a max week. These strings must be valid week strings.__
-* The week input also supports a step attribute, which is an integer describing how many weeks one should step.
+* This function checks the constraints of a field that depend on other fields of its form. The other field is referenced by its name or id, with or without a leading "#".
+* The data-regx-requiredif attribute makes the field required while another field has a value ("contact") or a given value ("contact=phone").
+* The data-regx-equalto attribute requires the same value as another field, e.g. to confirm a password.
+* The data-regx-after and data-regx-before attributes require a value after or before the value of another field. They work on number, range, date, month, week, time, datetime-local and datetime inputs, and are skipped while either value can't be read.
+* Each constraint has its own error type: requiredIfMissing, equalToMismatch, afterMismatch and beforeMismatch.
 *
-* @method checkWeek
+@example
+    <input type="password" name="password">
+    <input type="password" name="password2" data-regx-equalto="#password">
+    <input type="date" name="start">
+    <input type="date" name="end" data-regx-after="#start">
+*
+* @method checkRelations
 * @private
 */
-function checkWeek($input){ //YYYY-"W"WW
+function checkRelations($input) {
 	if($input.selector !== undefined) $input = $input[0];
+	
+	var type        = (attr($input, 'type') || 'text').toLowerCase(),
+		val         = getFieldValue($input),
+		requiredif  = attr($input, 'data-regx-requiredif'),
+		equalto     = attr($input, 'data-regx-equalto'),
+		after       = attr($input, 'data-regx-after'),
+		before      = attr($input, 'data-regx-before'),
+		condition,
+		$field,
+		own,
+		other;
+	
+	if(typeof requiredif === 'string' && requiredif !== '' && trim(val) === ''){
+		condition = requiredif.split('=');
+		$field = getRelatedField($input, condition[0]);
+		if($field && (condition.length > 1 ? getFieldValue($field) === trim(condition.slice(1).join('=')) : trim(getFieldValue($field)) !== '')){
+			throw createError('requiredIfMissing', (condition.length > 1 ? null : 'filled'), {field: trim(condition[0]).replace(/^#/, ''), value: trim(condition.slice(1).join('='))});
+		}
+	}
+	
+	if(typeof equalto === 'string' && equalto !== ''){
+		$field = getRelatedField($input, equalto);
+		if($field && (val !== '' || getFieldValue($field) !== '') && val !== getFieldValue($field)){
+			throw createError('equalToMismatch', null, {field: trim(equalto).replace(/^#/, '')});
+		}
+	}
+	
+	own = getComparable(type, val);
+	if(own === null){ return; }
+	
+	if(typeof after === 'string' && after !== '' && ($field = getRelatedField($input, after))){
+		other = getComparable(type, getFieldValue($field));
+		if(other !== null && own.value <= other.value){
+			throw createError('afterMismatch', type, {field: trim(after).replace(/^#/, ''), after: other.text});
+		}
+	}
+	if(typeof before === 'string' && before !== '' && ($field = getRelatedField($input, before))){
+		other = getComparable(type, getFieldValue($field));
+		if(other !== null && own.value >= other.value){
+			throw createError('beforeMismatch', type, {field: trim(before).replace(/^#/, ''), before: other.text});
+		}
+	}
+}
+//Get the value of a field, of the checked field of a radio or checkbox group, or an empty string for an unchecked radio or checkbox
+function getFieldValue($field) {
+	var i;
+	
+	//Groups of fields sharing a name, as returned by form.elements.
+	if(!$field.tagName && typeof $field.length === 'number'){
+		for(i = 0; i < $field.length; i++){
+			if($field[i].checked){ return $field[i].value; }
+		}
+		return '';
+	}
+	if(/^(checkbox|radio)$/i.test(attr($field, 'type') || '') && !$field.checked){ return ''; }
+	return ($field.value === null || $field.value === undefined ? '' : trim($field.value + ''));
+}
+//Turn the value of a number or date field into {value, text}, where value can be compared and text is formatted for messages, or null if it can't be read
+function getComparable(type, val) {
+	var match,
+		d;
+	
+	if(type === 'number' || type === 'range'){
+		return (/^-?(\d+|\d*\.\d+)(e[+\-]?\d+)?$/i.test(val) ? {value: parseFloat(val), text: val} : null);
+	}
+	if(!DATE_PATTERNS.hasOwnProperty(type) || !(match = DATE_PATTERNS[type].exec(val))){ return null; }
+	
+	switch(type){
+		case 'week':
+			d = [parseInt(match[1], 10), parseInt(match[2], 10)];
+			return {value: d[0] * 100 + d[1], text: formatDate(type, d)};
+		case 'month':
+			d = gregorianMonth(match);
+			return (d ? {value: d[0] * 100 + d[1], text: formatDate(type, d)} : null);
+		case 'date':
+			d = gregorianDate(match);
+			return (d ? {value: Date.UTC(d[0], d[1]-1, d[2]), text: formatDate(type, d)} : null);
+		case 'time':
+			d = gregorianTime(match);
+			return (d ? {value: ((d[0] * 60 + d[1]) * 60 + d[2]) * 1000 + d[3], text: formatDate(type, d)} : null);
+		case 'datetime-local':
+			d = gregorianDateTimeLocal(match);
+			return (d ? {value: Date.UTC(d[0], d[1]-1, d[2], d[3], d[4], d[5], d[6]), text: formatDate(type, d)} : null);
+		default: //datetime, whose offset is taken off to compare the times in UTC
+			d = gregorianDateTime(match);
+			return (d ? {value: Date.UTC(d[0], d[1]-1, d[2], d[3], d[4], d[5], d[6]) - (d[9] === '-' ? -1 : 1) * (Math.abs(d[7]) * 60 + d[8]) * 60000, text: formatDate(type, d)} : null);
+	}
+}
+//Get the selected files of a file input as {name, size, type} objects
+function getFiles($input) {
+	var name;
+	
+	if($input.files){ return $input.files; }
+	if($input.value === ''){ return []; }
+	//Browsers without the File API only expose the file name, e.g. "C:\fakepath\photo.png".
+	name = $input.value.split(/[\\\/]/);
+	return [{name: name[name.length-1], size: NaN, type: ''}];
+}
+//Parse a file size in bytes, or with a KB, MB or GB suffix
+function parseSize(size) {
+	var match = (typeof size === 'string' ? /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(size) : null);
+	
+	if(!match){ return NaN; }
+	switch((match[2] || 'b').toLowerCase()){
+		case 'kb': return parseFloat(match[1]) * 1024;
+		case 'mb': return parseFloat(match[1]) * 1048576;
+		case 'gb': return parseFloat(match[1]) * 1073741824;
+	}
+	return parseFloat(match[1]);
+}
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+// RegX Private Parts //////////////////////////////////////////////////////////////////////////////////////////////////////////
+////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////	
+//Get attribute value from element.
+function attr($elem, prop) {
+	if (typeof $elem.getAttribute !== "undefined" && typeof $elem[ prop ] !== "boolean") {
+		return $elem.getAttribute( prop );
+	} else {
+		//Plain field objects return null for missing attributes, just like getAttribute.
+		return ($elem[ prop ] === undefined ? null : $elem[ prop ]);
+	}
+}
 
-	var val         = $input.value,
-	    max         = attr($input, 'max'),
-	    min         = attr($input, 'min'),
-		step        = attr($input, 'step'),
-		defaultstep = 1,
-		basestep    = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
-	    regex       = /^(\d{4})\-W(\d{2})$/;
-			
-	if(USE_SANITATION) {
-		val = trim(val);
-		if(max) max = trim(max);
-		if(min) min = trim(min);
-		if(step) step = trim(step);
-		if(basestep) basestep = trim(basestep);
+//Create a plain field object that the check functions can read like an element.
+function createField(type, value, constraints) {
+	var field = {},
+		defaultValue = null,
+		prop;
+
+	constraints = constraints || {};
+	//The value constraint is the value attribute, the default value step bases are taken from, and not the value being checked.
+	if(constraints.hasOwnProperty('value') && constraints.value !== null && constraints.value !== undefined){ defaultValue = constraints.value + ''; }
+	for(prop in constraints){
+		if(constraints.hasOwnProperty(prop) && constraints[prop] !== null && constraints[prop] !== undefined){
+			//Attribute values are strings in the DOM, so only booleans and objects are left as they are.
+			field[prop.toLowerCase()] = (typeof constraints[prop] === 'boolean' || typeof constraints[prop] === 'object' ? constraints[prop] : constraints[prop] + '');
+		}
 	}
 
-	if(!regex.test(val)){ throw {type: 'typeMismatch', msg: 'This is not a valid week string. e.g. "YYYY-\'W\'WW"'}; }
+	type = (type ? type + '' : 'text').toLowerCase();
+	field.tagName = (type === 'select' || type === 'textarea' ? type : 'input');
+	field.type = type;
+	field.value = (value === null || value === undefined ? '' : value + '');
 
-	val = gregorianWeek(val.match(regex)); //Match passes an array with three args
+	//Checkboxes and radios are checked when they carry a value, unless told otherwise.
+	if(typeof field.checked !== 'boolean'){ field.checked = (field.value !== ''); }
 
-	if(val && val.length === 2) {
-		if(regex.test(max)) {
-			max = gregorianWeek(max.match(regex));
-			if((max && max.length === 2) && max[0] < val[0] || (max[0] === val[0] && max[1] < val[1])){
-				throw {type: 'rangeOverflow', msg: 'This week date is past the maximum week date ('+pad(4, max[0])+'-'+pad(2, max[1])+').'};
-			}
+	//Attributes are read like those of an element, so the value attribute holds the default value.
+	field.getAttribute = function(prop){
+		prop = prop.toLowerCase();
+		if(prop === 'value'){ return defaultValue; }
+		return (field.hasOwnProperty(prop) && typeof field[prop] !== 'function' ? field[prop] : null);
+	};
+
+	return field;
+}
+
+//Built-in error messages, keyed by locale, then by error type, then by input type or "default". Locales are added through RegX.addMessages.
+var MESSAGES = {
+	'en': {
+		'valueMissing': {
+			'default'    : 'There was no value for this field.',
+			'textarea'   : 'Textarea was left empty.',
+			'checkbox'   : 'Checkbox was left unchecked.',
+			'radio'      : 'A radio option was not checked.',
+			'select'     : 'An option was not selected.',
+			'placeholder': 'No value was specified.',
+			'color'      : 'This field is empty.'
+		},
+		'typeMismatch': {
+			'default'       : 'This value is not valid.',
+			'color'         : 'This is not a valid hex color. e.g. "{example}"',
+			'email'         : 'This is not a valid email address.',
+			'email-value'   : '"{values}" is not a valid email address.',
+			'email-values'  : 'These are not valid email addresses: "{values}".',
+			'url'           : 'This is not a valid URL.',
+			'url-web'       : 'This is not a valid web address.',
+			'tel'           : 'This is not a valid telephone number.',
+			'number'        : 'This is not a valid number.',
+			'week'          : 'This is not a valid week string. e.g. "YYYY-\'W\'WW"',
+			'month'         : 'This is not a valid month string. e.g. "YYYY-MM"',
+			'date'          : 'This is not a valid date string. e.g. "YYYY-MM-DD"',
+			'time'          : 'This is not a valid time string. e.g. "HH:MM:SS.FFF" or "HH:MM:SS" or "HH:MM"',
+			'datetime-local': 'This is not a valid datetime-local string. e.g. "YYYY-MM-DD HH:MM:SS.FFF" or "YYYY-MM-DD\'T\'HH:MM:SS.FFF"',
+			'datetime'      : 'This is not a valid datetime string. e.g. "YYYY-MM-DD HH:MM:SS.FFF\'Z\'" or "YYYY-MM-DD\'T\'HH:MM:SS.FFF[+/-]HH:MM"'
+		},
+		'patternMismatch': {
+			'default': 'The value does not match the pattern: "{pattern}".'
+		},
+		'tooLong': {
+			'default': 'The value exceeds the maxlength attribute.'
+		},
+		'tooShort': {
+			'default': 'The value is shorter than the minlength attribute.'
+		},
+		'rangeOverflow': {
+			'number'        : 'This number is larger than the maximum ({max}).',
+			'week'          : 'This week date is past the maximum week date ({max}).',
+			'month'         : 'This month is past the maximum month ({max}).',
+			'date'          : 'This date is past the maximum date ({max}).',
+			'time'          : 'This time is past the maximum time ({max}).',
+			'datetime-local': 'This date is past the maximum datetime ({max}).',
+			'datetime'      : 'This date is past the maximum datetime ({max}).'
+		},
+		'rangeUnderflow': {
+			'number'        : 'This number is smaller than the minimum ({min}).',
+			'week'          : 'This week date is sooner than the minimum week date ({min}).',
+			'month'         : 'This month is sooner than the minimum month ({min}).',
+			'date'          : 'This date is sooner than the minimum date ({min}).',
+			'time'          : 'This time is sooner than the minimum time ({min}).',
+			'datetime-local': 'This time is sooner than the minimum datetime ({min}).',
+			'datetime'      : 'This time is sooner than the minimum datetime ({min}).'
+		},
+		'stepMismatch': {
+			'number'        : 'This number is not a valid step ({step}).',
+			'week'          : 'This week date is not a valid step ({step} weeks) of the base week date ({base}).',
+			'month'         : 'This month is not a valid step ({step} months) of the base month ({base}).',
+			'date'          : 'This date is not a valid step ({step} days) of the base date ({base}).',
+			'time'          : 'This time is not a valid step ({step} seconds) of the base time ({base}).',
+			'datetime-local': 'This time is not a valid step ({step} seconds) of the base datetime ({base}).',
+			'datetime'      : 'This time is not a valid step ({step} seconds) of the base datetime ({base}).'
+		},
+		'tooManyFiles': {
+			'default': 'Too many files were selected, the maximum is {max}.'
+		},
+		'fileTypeMismatch': {
+			'default': 'This file type is not accepted: "{values}".'
+		},
+		'fileTooLarge': {
+			'default': 'This file is larger than the maximum size ({max}): "{values}".'
+		},
+		'fileTooSmall': {
+			'default': 'This file is smaller than the minimum size ({min}): "{values}".'
+		},
+		'requiredIfMissing': {
+			'default': 'This field is required when {field} is "{value}".',
+			'filled' : 'This field is required when {field} is filled in.'
+		},
+		'equalToMismatch': {
+			'default': 'This value does not match the {field} field.'
+		},
+		'afterMismatch': {
+			'default': 'This value must be after {after}.',
+			'number' : 'This number must be larger than {after}.',
+			'range'  : 'This number must be larger than {after}.'
+		},
+		'beforeMismatch': {
+			'default': 'This value must be before {before}.',
+			'number' : 'This number must be smaller than {before}.',
+			'range'  : 'This number must be smaller than {before}.'
+		},
+		'asyncMismatch': {
+			'default': 'This value was not accepted.'
+		},
+		'asyncError': {
+			'default': 'This value could not be checked. Please try again.'
+		},
+		'captchaMismatch': {
+			'default': 'The answer to the challenge is not correct.'
+		},
+		//Not an error: the question of the built-in captcha provider.
+		'captchaChallenge': {
+			'default': 'What is {a} {operator} {b}?'
 		}
+	}
+};
 
-		if(regex.test(min)) {
-			min = gregorianWeek(min.match(regex));
-			if((min && min.length === 2) && min[0] > val[0] || (min[0] === val[0] && min[1] > val[1])){
-				throw {type: 'rangeUnderflow', msg: 'This week date is sooner than the minimum week date ('+pad(4, min[0])+'-'+pad(2, min[1])+').'};
+//Telephone number metadata, keyed by ISO 3166 country code: calling code, trunk prefix, min and max length of the national number and, optionally, the digits it has to start with.
+var TEL_METADATA = {
+	'AE': ['971', '0', 8, 9],
+	'AR': ['54', '0', 10, 11],
+	'AT': ['43', '0', 4, 13],
+	'AU': ['61', '0', 9, 9, /^[2-478]/],
+	'BE': ['32', '0', 8, 9],
+	'BR': ['55', '0', 10, 11],
+	'CA': ['1', '1', 10, 10, /^[2-9]\d{2}[2-9]/],
+	'CH': ['41', '0', 9, 9],
+	'CL': ['56', '', 9, 9],
+	'CN': ['86', '0', 9, 11],
+	'CO': ['57', '', 10, 10],
+	'CZ': ['420', '', 9, 9],
+	'DE': ['49', '0', 6, 13],
+	'DK': ['45', '', 8, 8],
+	'EG': ['20', '0', 9, 10],
+	'ES': ['34', '', 9, 9, /^[5-9]/],
+	'FI': ['358', '0', 5, 12],
+	'FR': ['33', '0', 9, 9, /^[1-9]/],
+	'GB': ['44', '0', 9, 10, /^[1-9]/],
+	'GR': ['30', '', 10, 10],
+	'HK': ['852', '', 8, 8],
+	'HU': ['36', '06', 8, 9],
+	'ID': ['62', '0', 8, 12],
+	'IE': ['353', '0', 7, 9],
+	'IL': ['972', '0', 8, 9],
+	'IN': ['91', '0', 10, 10],
+	'IT': ['39', '', 6, 11],
+	'JP': ['81', '0', 9, 10],
+	'KE': ['254', '0', 9, 9],
+	'KR': ['82', '0', 8, 10],
+	'MX': ['52', '', 10, 10],
+	'MY': ['60', '0', 8, 10],
+	'NG': ['234', '0', 8, 10],
+	'NL': ['31', '0', 9, 9],
+	'NO': ['47', '', 8, 8],
+	'NZ': ['64', '0', 8, 10],
+	'PE': ['51', '', 8, 9],
+	'PH': ['63', '0', 8, 10],
+	'PK': ['92', '0', 9, 10],
+	'PL': ['48', '', 9, 9],
+	'PT': ['351', '', 9, 9],
+	'RU': ['7', '8', 10, 10],
+	'SA': ['966', '0', 8, 9],
+	'SE': ['46', '0', 7, 10],
+	'SG': ['65', '', 8, 8],
+	'TH': ['66', '0', 8, 9],
+	'TR': ['90', '0', 10, 10],
+	'TW': ['886', '0', 8, 9],
+	'UA': ['380', '0', 9, 9],
+	'US': ['1', '1', 10, 10, /^[2-9]\d{2}[2-9]/],
+	'VN': ['84', '0', 9, 10],
+	'ZA': ['27', '0', 9, 9]
+};
+
+//Setters of the settings a RegX.create instance can have, keyed by setting.
+var SETTINGS = {
+	'USE_SANITATION'           : function(value){ USE_SANITATION = value; },
+	'USE_BETTER_VALIDATION'    : function(value){ USE_BETTER_VALIDATION = value; },
+	'USE_SERVER_VALIDATION'    : function(value){ USE_SERVER_VALIDATION = value; },
+	'SERVER_VALIDATION_URL'    : function(value){ SERVER_VALIDATION_URL = value; },
+	'SERVER_VALIDATION_TIMEOUT': function(value){ SERVER_VALIDATION_TIMEOUT = value; },
+	'ASYNC_VALIDATION_TIMEOUT' : function(value){ ASYNC_VALIDATION_TIMEOUT = value; },
+	'LIVE_VALIDATION'          : function(value){ LIVE_VALIDATION = value; },
+	'USE_INLINE_ERRORS'        : function(value){ USE_INLINE_ERRORS = value; },
+	'LOCALE'                   : function(value){ LOCALE = value; }
+};
+
+//Validators of the input types, keyed by type. RegX.addValidator adds to them or replaces them.
+var VALIDATORS = {
+	'color'         : checkColor,
+	'email'         : checkEmail,
+	'url'           : checkURL,
+	'tel'           : checkTel,
+	'number'        : checkNumber,
+	'range'         : checkRange,
+	'week'          : checkWeek,
+	'month'         : checkMonth,
+	'date'          : checkDate,
+	'time'          : checkTime,
+	'datetime-local': checkDatetimelocal,
+	'datetime'      : checkDatetime,
+	'file'          : checkFile,
+	'select'        : checkSelect
+};
+
+//Captcha providers, keyed by name. Providers are registered through RegX.addCaptchaProvider.
+var CAPTCHA_PROVIDERS = {
+	//Asks for the sum, difference or product of two small numbers, without any third-party service. The challenge is signed on the server with RegX.createCaptchaChallenge of RegX.server.js, or made up here when the field has none.
+	'arithmetic': {
+		render: function($elem){
+			var challenge = attr($elem, 'data-regx-captcha-challenge') || createChallenge(0, Math.random().toString(36).slice(2)) + '.',
+				parts = challenge.split('.'),
+				id = fieldId($elem) + '-regx-captcha',
+				$challenge = getById(id),
+				$token = getById(id + '-challenge');
+			
+			$elem.regxCaptchaChallenge = challenge;
+			if(!$challenge){
+				$challenge = document.createElement('span');
+				$challenge.id = id;
+				$challenge.className = RegX.renderer.captchaClass;
+				$elem.parentNode.insertBefore($challenge, $elem);
+				setDescribedBy($elem, id, true);
 			}
-			basestep = min;
-		} else {
-			//If no min, do basestep
-			//Base step in this case should be the value attr if it was set, otherwise set it to the first week of 1970 it out.
-			basestep = (regex.test(basestep) ? gregorianTime(basestep.match(regex)) : [1970,1]);
-			if(basestep === false){ basestep = [1970,1]; }
+			while($challenge.firstChild){ $challenge.removeChild($challenge.firstChild); }
+			$challenge.appendChild(document.createTextNode(getErrorMessage('captchaChallenge', null, {a: parts[0], operator: (parts[1] === 'x' ? '\u00d7' : parts[1]), b: parts[2]})));
+			
+			//The challenge is submitted with the answer, for the server to verify.
+			if(!$token){
+				$token = document.createElement('input');
+				$token.type = 'hidden';
+				$token.id = id + '-challenge';
+				$token.name = (attr($elem, 'name') || 'captcha') + '-challenge';
+				$elem.parentNode.insertBefore($token, $elem.nextSibling);
+			}
+			$token.value = challenge;
+		},
+		verify: function(value, $elem){
+			return /^\s*-?\d+\s*$/.test(value) && parseInt(value, 10) === solveChallenge($elem.regxCaptchaChallenge);
+		},
+		destroy: function($elem){
+			var id = fieldId($elem) + '-regx-captcha',
+				$challenge = getById(id),
+				$token = getById(id + '-challenge');
+			
+			if($challenge){ $challenge.parentNode.removeChild($challenge); }
+			if($token){ $token.parentNode.removeChild($token); }
+			setDescribedBy($elem, id, false);
+			$elem.regxCaptchaChallenge = null;
+		}
+	}
+};
+
+//Patterns of the values of date and time inputs, shared by their check functions and checkRelations.
+var DATE_PATTERNS = {
+	'week'          : /^(\d{4})\-W(\d{2})$/,
+	'month'         : /^(\d{4})\-(\d{2})$/,
+	'date'          : /^(\d{4})\-(\d{2})\-(\d{2})$/,
+	'time'          : /^(\d{2}):(\d{2})(:(\d{2})(\.(\d{1,3}))?)?$/,
+	'datetime-local': /^(\d{4})\-(\d{2})\-(\d{2})( |T)(\d{2}):(\d{2})(:(\d{2})(\.(\d{1,3}))?)?$/,
+	'datetime'      : /^(\d{4})\-(\d{2})\-(\d{2})( |T)(\d{2}):(\d{2})(:(\d{2})(\.(\d{1,3}))?)?(Z|(([+\-])(\d{2}):(\d{2})))$/
+};
+
+//Flags of a ValidityState
+var VALIDITY_FLAGS = ['valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort', 'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError'],
+	//The constraints behind each flag. Every flag is checked on its own, with the other constraints lifted.
+	VALIDITY_CONSTRAINTS = {
+		'patternMismatch': ['pattern', 'data-regx-pattern'],
+		'tooLong'        : ['maxlength'],
+		'tooShort'       : ['minlength'],
+		'rangeOverflow'  : ['max'],
+		'rangeUnderflow' : ['min'],
+		'stepMismatch'   : ['step', 'min'], //The min is the step base.
+		'fileTypeMismatch': ['accept'],
+		'fileTooLarge'   : ['data-regx-maxsize'],
+		'fileTooSmall'   : ['data-regx-minsize'],
+		'tooManyFiles'   : ['data-regx-maxfiles'],
+		'requiredIfMissing': ['data-regx-requiredif'],
+		'equalToMismatch'  : ['data-regx-equalto'],
+		'afterMismatch'    : ['data-regx-after'],
+		'beforeMismatch'   : ['data-regx-before'],
+		'asyncMismatch'    : ['data-regx-async'],
+		'asyncError'       : ['data-regx-async'],
+		'captchaMismatch'  : ['data-regx-captcha']
+	},
+	//Values of the constraints when they are lifted.
+	VALIDITY_LIFTED = {'pattern': null, 'data-regx-pattern': null, 'maxlength': null, 'minlength': null, 'min': null, 'max': null, 'step': 'any', 'accept': null, 'data-regx-maxsize': null, 'data-regx-minsize': null, 'data-regx-maxfiles': null, 'data-regx-requiredif': null, 'data-regx-equalto': null, 'data-regx-after': null, 'data-regx-before': null, 'data-regx-async': null, 'data-regx-captcha': null};
+
+//Work out the validity, willValidate and validationMessage of a field.
+function getValidityState($elem) {
+	var validity = {valid: true},
+		type = (attr($elem, 'type') || '').toLowerCase(),
+		tag = $elem.tagName.toLowerCase(),
+		state = {validity: validity, willValidate: true, validationMessage: ''},
+		attributes,
+		field,
+		error,
+		flag,
+		i;
+	
+	if(isForeign($elem)){ return useInstance(getInstance($elem), getValidityState, [$elem]); }
+	
+	for(i = 0; i < VALIDITY_FLAGS.length; i++){ validity[VALIDITY_FLAGS[i]] = false; }
+	//The RegX errors that have no flag of their own, e.g. fileTooLarge, flag customError and are listed here.
+	validity.regxReasons = [];
+	
+	//Fields barred from constraint validation: http://www.whatwg.org/specs/web-apps/current-work/multipage/forms.html#barred-from-constraint-validation
+	if($elem.disabled || (tag === 'input' && /^(hidden|reset|button)$/.test(type)) || (tag === 'button' && type !== 'submit' && type !== '') || (tag !== 'select' && $elem.readOnly)){
+		state.willValidate = false;
+		return updateState();
+	}
+	
+	field = describeElement($elem);
+	attributes = field.attributes;
+	
+	//The first error is the one RegX reports, so it sets the validation message.
+	error = checkElementValidity(field, true);
+	if(error === true){ return updateState(); }
+	
+	//Whatever RegX reports for them, required fields without a value are only missing their value.
+	if(field.required && field.value === '' && /^(color|email|url|number|week|month|date|time|datetime-local|datetime)$/.test(type)){
+		state.validationMessage = (error.error === 'customError' ? error.msg || error.error_msg : getMessage($elem, createError('valueMissing')));
+		setFlag('valueMissing');
+		if(error.error === 'customError'){ setFlag('customError'); }
+		return updateState();
+	}
+	state.validationMessage = error.msg || error.error_msg;
+	setFlag(error.error);
+	
+	//A custom error doesn't depend on the value, so leave it out of the checks below.
+	field.regxCustomValidity = '';
+	
+	//With every constraint lifted, only a missing value, bad value or custom error is left.
+	error = checkWith([]);
+	if(error !== true){
+		setFlag(error.error);
+		return updateState();
+	}
+	for(flag in VALIDITY_CONSTRAINTS){
+		if(VALIDITY_CONSTRAINTS.hasOwnProperty(flag)){
+			error = checkWith(VALIDITY_CONSTRAINTS[flag]);
+			if(error !== true && error.error === flag){ setFlag(flag); }
 		}
+	}
+	return updateState();
+	
+	//Check the field with all but the given constraints lifted.
+	function checkWith(constraints){
+		var prop;
 		
-		//Check Step
-		if(step !== 'any'){
-			if(!/^\d+$/.test(step)){ step = defaultstep; }
-			else { step = parseInt(step, 10); }
-			//Basestep is 1970-W01 unless the following.
-			//If val is present, it is the basestep unless min is present.
-			//If min is present, it is the basestep.
-			if(spanWeeks(basestep, val) % step !== 0){
-				throw {type: 'stepMismatch', msg: 'This week date is not a valid step ('+step+' weeks) of the base week date ('+pad(4, basestep[0])+'-'+pad(2, basestep[1])+').'};
+		field.attributes = {};
+		for(prop in attributes){
+			if(attributes.hasOwnProperty(prop)){ field.attributes[prop] = (VALIDITY_LIFTED.hasOwnProperty(prop) && indexOf(constraints, prop) < 0 ? VALIDITY_LIFTED[prop] : attributes[prop]); }
+		}
+		for(prop in VALIDITY_LIFTED){
+			if(VALIDITY_LIFTED.hasOwnProperty(prop) && !attributes.hasOwnProperty(prop)){ field.attributes[prop] = VALIDITY_LIFTED[prop]; }
+		}
+		return checkElementValidity(field, true);
+	}
+	function setFlag(flag){
+		//Numbers that can't be parsed are bad input, the number control itself can't have a type mismatch.
+		if(flag === 'typeMismatch' && (type === 'number' || type === 'range')){ flag = 'badInput'; }
+		if(indexOf(VALIDITY_FLAGS, flag) < 0){
+			if(indexOf(validity.regxReasons, flag) < 0){ validity.regxReasons.push(flag); }
+			flag = 'customError';
+		}
+		validity[flag] = true;
+		validity.valid = false;
+	}
+	function updateState(){
+		//Keep the properties up to date in browsers that can't define getters on elements.
+		if($elem.regxStaticValidity){
+			$elem.validity = state.validity;
+			$elem.validationMessage = state.validationMessage;
+		}
+		return state;
+	}
+}
+//Get the custom error message of a field, set through RegX.setCustomValidity or the browser's own setCustomValidity.
+function getCustomValidity($elem) {
+	if(typeof $elem.regxCustomValidity === 'string' && $elem.regxCustomValidity !== ''){ return $elem.regxCustomValidity; }
+	if(!$elem.regxValidity && $elem.validity && $elem.validity.customError){ return $elem.validationMessage; }
+	return '';
+}
+
+//Copy a field into a plain field object, so its constraints can be lifted one by one without touching the DOM.
+function describeElement($elem) {
+	var field = {
+			tagName      : $elem.tagName,
+			type         : (attr($elem, 'type') || 'text'),
+			name         : $elem.name,
+			value        : $elem.value,
+			defaultValue : $elem.defaultValue,
+			checked      : $elem.checked,
+			required     : (attr($elem, 'required') !== null && attr($elem, 'required') !== false),
+			readonly     : !!$elem.readOnly,
+			disabled     : !!$elem.disabled,
+			form         : $elem.form,
+			files        : $elem.files,
+			options      : $elem.options,
+			selectedIndex: $elem.selectedIndex,
+			regxCustomValidity: getCustomValidity($elem),
+			regxAsync    : $elem.regxAsync,
+			//Captcha providers keep their challenge on the element itself.
+			regxElement  : $elem,
+			attributes   : {},
+			//Attributes are read from the copy, so the value attribute still holds the default value.
+			getAttribute : function(prop){
+				prop = prop.toLowerCase();
+				return (field.attributes.hasOwnProperty(prop) ? field.attributes[prop] : null);
 			}
+		},
+		i;
+	
+	for(i = 0; i < $elem.attributes.length; i++){
+		if($elem.attributes[i].specified !== false){ field.attributes[$elem.attributes[i].name.toLowerCase()] = $elem.attributes[i].value; }
+	}
+	return field;
+}
+
+//Add validity, willValidate and validationMessage to the fields of a form when the browser has no Constraint Validation API.
+function polyfillValidity($form) {
+	var $elem,
+		i;
+	
+	for(i = 0; i < $form.elements.length; i++){
+		$elem = $form.elements[i];
+		if(!/^(input|select|textarea|button)$/i.test($elem.nodeName) || 'validity' in $elem){ continue; }
+		
+		$elem.regxValidity = true;
+		$elem.setCustomValidity = setCustomValidity($elem);
+		try{
+			defineGetter($elem, 'validity', 'validity');
+			defineGetter($elem, 'willValidate', 'willValidate');
+			defineGetter($elem, 'validationMessage', 'validationMessage');
+		} catch(e){
+			//Fall back on properties that are refreshed whenever RegX works out the field's validity.
+			$elem.regxStaticValidity = true;
+			$elem.willValidate = getValidityState($elem).willValidate;
 		}
+	}
+	
+	function setCustomValidity($elem){
+		return function(message){ RegX.setCustomValidity($elem, message); };
+	}
+	function defineGetter($elem, prop, key){
+		Object.defineProperty($elem, prop, {
+			get: function(){ return getValidityState($elem)[key]; },
+			configurable: true
+		});
+	}
+}
 
-		return;
+//Attributes that make up a field's constraints in a schema, along with any data-regx-* attribute.
+var SCHEMA_ATTRIBUTES = ['type', 'required', 'readonly', 'disabled', 'multiple', 'pattern', 'min', 'max', 'step', 'maxlength', 'minlength', 'accept', 'x-moz-errormessage'],
+	SCHEMA_BOOLEANS   = {'required': true, 'readonly': true, 'disabled': true, 'multiple': true};
+
+//Read the fields of a live form for getSchema.
+function readFields($form) {
+	var fields = [],
+		$elem,
+		attrs,
+		value,
+		i,
+		j;
+
+	if($form.selector !== undefined){ $form = $form[0]; }
+	for(i = 0; i < $form.elements.length; i++){
+		$elem = $form.elements[i];
+		if(!/^(input|select|textarea)$/i.test($elem.nodeName)){ continue; }
+
+		attrs = {};
+		for(j = 0; j < SCHEMA_ATTRIBUTES.length; j++){
+			value = $elem.getAttribute(SCHEMA_ATTRIBUTES[j]);
+			if(value !== null){ attrs[SCHEMA_ATTRIBUTES[j]] = value; }
+		}
+		for(j = 0; j < $elem.attributes.length; j++){
+			if(/^data-regx-/i.test($elem.attributes[j].name)){ attrs[$elem.attributes[j].name.toLowerCase()] = $elem.attributes[j].value; }
+		}
+		//Checkboxes are told apart by their value.
+		if($elem.getAttribute('value') !== null){ attrs.value = $elem.getAttribute('value'); }
+		fields.push(schemaField($elem.nodeName, $elem.getAttribute('name'), attrs));
 	}
+	return fields;
+}
 
-	throw {type: 'typeMismatch', msg: 'This is not a valid week string. e.g. "YYYY-\'W\'WW"'};
-
-	function spanWeeks(base, val){
-		//Determine amount of weeks in between span of years
-		var numweeks = 0,
-		    i;
+//Parse the fields out of an HTML string for getSchema, from the form with the given id or name or the first form. Attribute values may contain ">", so tags are matched attribute by attribute.
+function parseFields(html, id) {
+	var fields = [],
+		tagRegex  = /<(input|select|textarea)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi,
+		tag,
+		attrs;
+
+	//Fields that are commented out aren't part of the form.
+	html = readForm(html.replace(/<!--[\s\S]*?(?:-->|$)/g, ''), id);
+	while((tag = tagRegex.exec(html)) !== null){
+		attrs = parseAttributes(tag[2]);
+		fields.push(schemaField(tag[1], (attrs.hasOwnProperty('name') ? attrs.name : null), attrs));
+	}
+	return fields;
+}
 
-		for(i = base[0]; i < val[0]; i++){
-			numweeks += (is53Weeks(i) ? 53 : 52);
+//Get the content of the form with the given id or name, or of the first form, out of an HTML string. Strings without a form are read as a whole.
+function readForm(html, id) {
+	var formRegex = /<form((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*>/gi,
+		found = false,
+		attrs,
+		tag,
+		end;
+
+	while((tag = formRegex.exec(html)) !== null){
+		found = true;
+		attrs = parseAttributes(tag[1]);
+		if(id === undefined || id === null || attrs.id === id || attrs.name === id){
+			//Forms can't be nested, so the form ends at the first closing tag.
+			end = html.slice(formRegex.lastIndex).search(/<\/form\s*>/i);
+			return html.slice(formRegex.lastIndex, (end < 0 ? html.length : formRegex.lastIndex + end));
 		}
+	}
+	return (found || (id !== undefined && id !== null) ? '' : html);
+}
 
-		//Subtract weeks you're already into base year.
-		numweeks -= base[1];
+//Read the attributes of an HTML tag into an object.
+function parseAttributes(str) {
+	var attrs = {},
+		regex = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g,
+		match,
+		name;
+
+	while((match = regex.exec(str)) !== null){
+		name = match[1].toLowerCase();
+		if(attrs.hasOwnProperty(name)){ continue; } //The first occurrence of an attribute wins, as it does in the browser.
+		attrs[name] = decodeEntities(match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : '');
+	}
+	return attrs;
+}
 
-		//Add weeks you haven't yet added in for the value year
-		numweeks += val[1];
+//Build a schema field out of a tag name and its attributes.
+function schemaField(tag, name, attrs) {
+	var constraints = {},
+		type = tag.toLowerCase(),
+		prop;
 
-		return numweeks;
-	}
-	// Check if the week is gregorian
-	function gregorianWeek(val) {
-		var year = parseInt(val[1],10),
-		    week = parseInt(val[2],10);
+	if(type === 'input'){ type = (attrs.type ? attrs.type.toLowerCase() : 'text'); }
 
-		if(1 > year || 1 > week || week > 53 || (week === 53 && !is53Weeks(year))){
-			return false;
+	for(prop in attrs){
+		if(attrs.hasOwnProperty(prop) && (/^data-regx-/.test(prop) || indexOf(SCHEMA_ATTRIBUTES, prop) > -1)){
+			constraints[prop] = (SCHEMA_BOOLEANS[prop] ? true : attrs[prop]);
 		}
-
-		return [year, week];
 	}
-	function is53Weeks(y){
-		//Years that Jan 1 start on Thursday even on leap year or Leap Year where Jan 1 starts on Wednesday
-		var d = new Date(y+'-01-01').getDay();
-		if(d !== 2 && d !== 3 || (d === 2 && !isLeapYear(y))){
-			return false;
+	constraints.type = type;
+	//A checkbox is checked when its value is submitted.
+	if(type === 'checkbox'){ constraints.value = (attrs.hasOwnProperty('value') && attrs.value !== null ? attrs.value : 'on'); }
+
+	return {name: name, type: type, constraints: constraints};
+}
+
+//Decode the character references that can show up in attribute values.
+function decodeEntities(str) {
+	return str.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|#39);/gi, function(m, ref){
+		switch(ref.toLowerCase()){
+			case 'amp': return '&';
+			case 'lt': return '<';
+			case 'gt': return '>';
+			case 'quot': return '"';
+			case 'apos': return "'";
 		}
-		return true;
-	}
+		return String.fromCharCode(ref.charAt(1).toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10));
+	});
 }
 
-/**
-* This function checks if the field's value is a valid month, optionally within a range.
-* The month string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12.
-* __The month input supports both a min and a max month. These strings must be valid month strings.__
-* The month input also supports a step attribute, which is an integer describing how many months one should step.
-*
-* @method checkMonth
-* @private
-*/
-function checkMonth($input){ //YYYY-MM
-	if($input.selector !== undefined) $input = $input[0];
+//Read the attributes of an XML tag into an object.
+function readXMLAttributes(str) {
+	var attrs = {},
+		regex = /([^\s"'>\/=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+		match;
 
-	var val         = $input.value,
-	    max         = attr($input, 'max'),
-	    min         = attr($input, 'min'),
-		step        = attr($input, 'step'),
-		defaultstep = 1,
-		basestep    = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
-	    regex       = /^(\d{4})\-(\d{2})$/;
-			
-	if(USE_SANITATION) {
-		val = trim(val);
-		if(max) max = trim(max);
-		if(min) min = trim(min);
-		if(step) step = trim(step);
-		if(basestep) basestep = trim(basestep);
+	while((match = regex.exec(str)) !== null){
+		attrs[match[1].toLowerCase()] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
 	}
+	return attrs;
+}
 
-	if(!regex.test(val)){ throw {type: 'typeMismatch', msg: 'This is not a valid month string. e.g. "YYYY-MM"'}; }
+//Read the text content of an XML element, which may be wrapped in CDATA.
+function readXMLText(str) {
+	var cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(str);
+	return (cdata ? cdata[1] : decodeEntities(str.replace(/^\s+|\s+$/g, '')));
+}
 
-	val = gregorianMonth(val.match(regex)); //Match passes an array with three args
+//Get the field another field's attribute refers to, by id or name, e.g. "#country" or "country". Looks in the field's own form first.
+function getRelatedField($elem, ref) {
+	var $field = null;
+	
+	ref = trim(ref).replace(/^#/, '');
+	if($elem.form && $elem.form.elements){ $field = $elem.form.elements[ref] || null; }
+	if(!$field && typeof document !== 'undefined' && document.getElementById){ $field = document.getElementById(ref); }
+	return $field;
+}
 
-	if(val && val.length === 2) {
-		//Check Max Month
-		if(regex.test(max)) {
-			max = gregorianMonth(max.match(regex));
-			if((max && max.length === 2) && max[0] < val[0] || (max[0] === val[0] && max[1] < val[1])){
-				throw {type: 'rangeOverflow', msg: 'This month is past the maximum month ('+pad(4, max[0])+'-'+pad(2, max[1])+').'};
-			}
-		}
-		//Check Min Month
-		if(regex.test(min)) {
-			min = gregorianMonth(min.match(regex));
-			if((min && min.length === 2) && min[0] > val[0] || (min[0] === val[0] && min[1] > val[1])){
-				throw {type: 'rangeUnderflow', msg: 'This month is sooner than the minimum month ('+pad(4, min[0])+'-'+pad(2, min[1])+').'};
-			}
-			basestep = min;
-		} else {
-			//If no min, do basestep
-			//Base step in this case should be the value attr if it was set, otherwise zero it out.
-			basestep = (regex.test(basestep) ? gregorianTime(basestep.match(regex)) : [1970,1]);
-			if(basestep === false){ basestep = [1970,1]; }	
-		}
+//Array.indexOf for older browsers.
+function indexOf(arr, val) {
+	for(var i = 0; i < arr.length; i++){
+		if(arr[i] === val){ return i; }
+	}
+	return -1;
+}
+
+//Trim value's
+function trim(val, lb) {
+	if(USE_SANITATION){ //Opera does not trim values as the spec requires so skip sanitization if you want to match Opera.
+		//Strip Linebreaks
+		val = val.replace(/(\r\n|\n|\r)/gm,'');
 		
-		//Check Step
-		if(step !== 'any'){
-			if(!/^\d+$/.test(step)){ step = defaultstep; }
-			else { step = parseInt(step, 10); }
-			
-			//Basestep is 1970-01 unless the following.
-			//If max is present, it is the basestep unless min is present.
-			//If min is present, it is the basestep.
-			if(spanMonths(basestep, val) % step !== 0){
-				throw {type: 'stepMismatch', msg: 'This month is not a valid step ('+step+' months) of the base month ('+pad(4, basestep[0])+'-'+pad(2, basestep[1])+').'};
-			}
+		if(!lb){
+			val = val.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
 		}
-
-		return;
 	}
+	return val;
+}
 
-	throw {type: 'typeMismatch', msg: 'This is not a valid month string. e.g. "YYYY-MM"'};
+//Get HTML5 Input Message, preferring the message for the constraint that failed, e.g. data-regx-msg-rangeoverflow
+function getMessage($elem, e) {
+	var msg = (e && e.type ? attr($elem, 'data-regx-msg-' + e.type.toLowerCase()) : null);
+	if(typeof msg === "string" && msg !== '') {
+		return interpolate(msg, getMessageParams($elem, e));
+	}
 	
-	function spanMonths(base, val){
-		return ((val[0]-base[0]) * 12) - base[1] + val[1];
+	msg = attr($elem, 'data-regx-errormessage');
+	if(typeof msg === "string" && msg !== '') {
+		return msg;
+	}
+	
+	msg = attr($elem, 'x-moz-errormessage');
+	if(typeof msg === "string" && msg !== '') {
+		return msg;
+	}
+	
+	//The built-in text of the error.
+	if(e && typeof e.msg === "string" && e.msg !== '') {
+		return e.msg;
+	}
+	
+	msg = $elem.validationMessage;
+	if(typeof msg === "string") {
+		return msg;
+	}
+	
+	return '';
+}
+//Get the values for the placeholders of a field's messages: its constraints, overridden by the values of the error (e.g. dates formatted for the locale)
+function getMessageParams($elem, e){
+	var params = {value: $elem.value},
+		names = ['max', 'min', 'step', 'maxlength', 'minlength', 'pattern', 'accept', 'data-regx-maxsize', 'data-regx-minsize', 'data-regx-maxfiles'],
+		value,
+		i;
+	
+	for(i = 0; i < names.length; i++){
+		value = attr($elem, names[i]);
+		if(typeof value === 'string' && value !== ''){ params[names[i].replace(/^data-regx-/, '')] = value; }
+	}
+	for(i in e.params){
+		if(e.params.hasOwnProperty(i)){ params[i] = e.params[i]; }
 	}
+	return params;
 }
-function gregorianMonth(val) {
-	var year = parseInt(val[1],10),
-		month = parseInt(val[2],10);
-
-	if(1 > year || 1 > month || month > 12){
-		return false;
+//Create the error thrown by the check functions, with the message of the current locale
+function createError(type, key, params){
+	var error = {type: type, msg: getErrorMessage(type, key, params || {})};
+	
+	if(params){
+		error.params = params;
+		//The values of a list that failed, e.g. the addresses of an email input with the multiple attribute.
+		if(params.values instanceof Array){ error.values = params.values; }
 	}
-
-	return [year, month];
+	return error;
 }
-
-/**
-* This function checks if the field's value is a valid date, optionally within a range.
-* The date string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12, followed by a dash, followed by two day digits, ranging from 01 and 31.
-* __The date input supports both a min and a max date. These strings must be valid date strings.__
-* The date input also supports a step attribute, which is an integer describing how many days one should step.
-*
-* @method checkMonth
-* @private
-*/
-function checkDate($input){ //YYYY-MM-DD
-	if($input.selector !== undefined) $input = $input[0];
-
-	var val         = $input.value,
-	    max         = attr($input, 'max'),
-	    min         = attr($input, 'min'),
-		step        = attr($input, 'step'),
-		defaultstep = 1,
-		basestep    = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
-		regex       = /^(\d{4})\-(\d{2})\-(\d{2})$/,
-		tDate;
-			
-	if(USE_SANITATION) {
-		val = trim(val);
-		if(max) max = trim(max);
-		if(min) min = trim(min);
-		if(step) step = trim(step);
-		if(basestep) basestep = trim(basestep);
+//Get the message of an error type and input type, falling back to the language of the locale, then to "en"
+function getErrorMessage(type, key, params){
+	var locale = getLocale().toLowerCase(),
+		locales = [locale, locale.split('-')[0], 'en'],
+		messages,
+		i;
+	
+	//The messages of a RegX.create instance come first.
+	messages = (current ? current.messages[type] : null);
+	if(messages){
+		if(typeof key === 'string' && typeof messages[key] === 'string'){ return interpolate(messages[key], params); }
+		if(typeof messages['default'] === 'string'){ return interpolate(messages['default'], params); }
 	}
-
-	if(!regex.test(val)){ throw {type: 'typeMismatch', msg: 'This is not a valid date string. e.g. "YYYY-MM-DD"'}; }
 	
-	val = gregorianDate(val.match(regex)); //Match passes an array with four args
+	for(i = 0; i < locales.length; i++){
+		messages = (MESSAGES[locales[i]] ? MESSAGES[locales[i]][type] : null);
+		if(!messages){ continue; }
+		if(typeof key === 'string' && typeof messages[key] === 'string'){ return interpolate(messages[key], params); }
+		if(typeof messages['default'] === 'string'){ return interpolate(messages['default'], params); }
+	}
+	return '';
+}
+//Replace the {placeholders} of a message, lists are joined like "a", "b"
+function interpolate(msg, params){
+	return msg.replace(/\{([\w\-]+)\}/g, function(match, name){
+		if(!params.hasOwnProperty(name) || params[name] === null || params[name] === undefined){ return match; }
+		return (params[name] instanceof Array ? params[name].join('", "') : params[name] + '');
+	});
+}
+//Get the locale of the messages: LOCALE, then the lang attribute of the html element, then "en"
+function getLocale(){
+	var lang = (typeof document !== 'undefined' && document.documentElement ? document.documentElement.getAttribute('lang') : null);
 	
-	if(val && val.length === 3) {
-		//Val in milliseconds since epoch
-		//Must subtract 1 from val[1] because months are zero based. e.g. January = '0';
-		tDate = new Date(val[0],(val[1]-1),val[2]).getTime();
-		//Check Max Date
-		if(regex.test(max)) {
-			max = gregorianDate(max.match(regex));
-			if((max && max.length === 3) && (new Date(max[0],(max[1]-1),max[2]).getTime() < tDate)){
-				throw {type: 'rangeOverflow', msg: 'This date is past the maximum date ('+pad(4, max[0])+'-'+pad(2, max[1])+'-'+pad(2, max[2])+').'};
-			}
+	if(LOCALE){ return LOCALE; }
+	return (typeof lang === 'string' && lang !== '' ? lang : 'en');
+}
+//Format the parsed value of a date field for the locale, or as in the field's value when the environment can't
+function formatDate(kind, d){
+	var locale = getLocale(),
+		options = {timeZone: 'UTC'},
+		date;
+	
+	try{
+		if(typeof Intl === 'undefined' || !Intl.DateTimeFormat || kind === 'week'){ throw 'unsupported'; }
+		switch(kind){
+			case 'month':
+				date = new Date(Date.UTC(d[0], d[1]-1, 1));
+				options.year = 'numeric';
+				options.month = 'long';
+				break;
+			case 'date':
+				date = new Date(Date.UTC(d[0], d[1]-1, d[2]));
+				options.year = 'numeric';
+				options.month = 'long';
+				options.day = 'numeric';
+				break;
+			case 'time':
+				date = new Date(Date.UTC(1970, 0, 1, d[0], d[1], d[2], d[3]));
+				options.hour = options.minute = options.second = 'numeric';
+				break;
+			default: //datetime-local and datetime
+				date = new Date(Date.UTC(d[0], d[1]-1, d[2], d[3], d[4], d[5], d[6]));
+				options.year = options.day = options.hour = options.minute = options.second = 'numeric';
+				options.month = 'long';
 		}
-		//Check Min Date
-		if(regex.test(min)) {
-			min = gregorianDate(min.match(regex));
-			if((min && min.length === 3) && (new Date(min[0],(min[1]-1),min[2]).getTime() > tDate)){
-				throw {type: 'rangeUnderflow', msg: 'This date is sooner than the minimum date ('+pad(4, min[0])+'-'+pad(2, min[1])+'-'+pad(2, min[2])+').'};
+		//Datetimes keep their own timezone offset.
+		return new Intl.DateTimeFormat(locale, options).format(date) + (kind === 'datetime' ? ' ' + d[9] + pad(2, Math.abs(d[7])) + ':' + pad(2, d[8]) : '');
+	} catch(e) {
+		switch(kind){
+			case 'week': return pad(4, d[0])+'-W'+pad(2, d[1]);
+			case 'month': return pad(4, d[0])+'-'+pad(2, d[1]);
+			case 'date': return pad(4, d[0])+'-'+pad(2, d[1])+'-'+pad(2, d[2]);
+			case 'time': return pad(2, d[0])+':'+pad(2, d[1])+':'+pad(2, d[2])+'.'+pad(3, d[3]);
+			case 'datetime-local': return pad(4, d[0])+'-'+pad(2, d[1])+'-'+pad(2, d[2])+' '+pad(2, d[3])+':'+pad(2, d[4])+':'+pad(2, d[5])+'.'+pad(3, d[6]);
+			default: return pad(4, d[0])+'-'+pad(2, d[1])+'-'+pad(2, d[2])+' '+pad(2, d[3])+':'+pad(2, d[4])+':'+pad(2, d[5])+'.'+pad(3, d[6])+d[9]+pad(2, Math.abs(d[7]))+':'+pad(2, d[8]);
+		}
+	}
+}
+//Add zeros for strings
+function pad(n, str, tr){
+	if(typeof str !== 'string'){ str = str + ''; }
+	if(tr){ while(str.length < n){ str = str + '0'; } }
+	else{ while(str.length < n){ str = '0' + str; } }
+	return str;
+}
+//Utility function for date fields to determine leap year.
+function isLeapYear(y){
+	return !(y % 4) && (y % 100) || !(y % 400) ? true : false;
+}
+//Submit Handler
+function onSubmitRegX(e){
+	var $frm = e.target || e.srcElement,
+		novalidate = false,
+		$submitter,
+		errors,
+		i;
+	
+	if(!$frm || !/^form$/i.test($frm.nodeName) || $frm.regxUnbound){ return; }
+	if(isForeign($frm)){ return useInstance(getInstance($frm), onSubmitRegX, [e]); }
+	
+	//The button the form was submitted with, sent along when RegX submits the form itself.
+	$submitter = e.submitter || $frm.regxSubmitter || null;
+	$frm.regxSubmitter = null;
+	//The formnovalidate flag is kept per form, so it only ever skips the submission it was clicked for.
+	novalidate = ($frm.regxFormnovalidate === true);
+	$frm.regxFormnovalidate = false;
+	
+	//If submit button had formnovalidate set
+	if(!novalidate){
+		//If form has the attribute novalidate, stop validation.
+		if(typeof attr($frm, 'novalidate') == 'string'){ novalidate = true; }
+		//Listeners can skip the validation of this submission by cancelling the regx:validate event.
+		if(!novalidate && !dispatch($frm, 'regx:validate', null, true)){ novalidate = true; }
+		if(!novalidate){
+			//Reset Boolean Error Tracker
+			(current || RegX).isError = false;
+			
+			//Fields of forms in the "submit" live validation mode are validated from now on.
+			$frm.regxSubmitted = true;
+			
+			//Let the server validate the form, the form is submitted once it has answered.
+			if(USE_SERVER_VALIDATION){
+				validateOnServer($frm, bindInstance(function(errors){
+					if(onValidatedRegX(e, $frm, errors) !== false){ submitForm($frm, $submitter); }
+					else { focusInvalid($frm); }
+				}));
+				preventSubmit(e);
+				return false;
+			}
+			
+			//Wait for the asynchronous validators and the patterns file, the form is submitted once they have answered.
+			if(needsAsyncForm($frm) || needsPatternsForm($frm)){
+				validateAsyncForm($frm, bindInstance(function(){
+					if(onValidatedRegX(e, $frm, RegX.checkValidity($frm, true)) !== false){ submitForm($frm, $submitter); }
+					else { focusInvalid($frm); }
+				}));
+				preventSubmit(e);
+				return false;
+			}
+			
+			//Pass form to checkValidity to check all fields. Configuration errors, such as unknown patterns, stop the submission as well.
+			try{ errors = RegX.checkValidity($frm, true); }
+			catch(err){
+				preventSubmit(e);
+				throw err;
+			}
+			//If the RegX.onSuccess or onFailure events returned false, stop the form submission
+			if(onValidatedRegX(e, $frm, errors) === false){
+				preventSubmit(e);
+				focusInvalid($frm);
+				return false;
 			}
-			basestep = min;
-		} else{
-			//If no min, do basestep
-			//Base step in this case should be the value attr if it was set, otherwise zero it out.
-			basestep = (regex.test(basestep) ? gregorianTime(basestep.match(regex)) : [1970,0,1]);
-			if(basestep === false){ basestep = [1970,0,1]; }
 		}
-		//Check Step
-		if(step !== 'any'){
-			if(!/^\d+$/.test(step)){ step = defaultstep; }
-			else { step = parseInt(step, 10); }
+	}
+}
+//Calls RegX.onFailure or RegX.onSuccess with the results of validating the form
+function onValidatedRegX(e, $frm, errors){
+	var hooks;
+	
+	if(isForeign($frm)){ return useInstance(getInstance($frm), onValidatedRegX, [e, $frm, errors]); }
+	
+	//Forms set up through RegX.create have their own ERRORS and callbacks.
+	hooks = current || RegX;
+	if(current){ current.ERRORS = errors; }
+	else { ERRORS = errors; }
+	
+	markFields($frm, (errors instanceof Array ? errors : []));
+	if(isRendered($frm)){ RegX.renderErrors($frm, (errors instanceof Array ? errors : [])); }
+	
+	dispatchFields($frm, (errors instanceof Array ? errors : []));
+	
+	//There were errors... Cancelling the regx:failure or regx:success event stops the submission before the callback is called, just like returning false from the callback.
+	if(errors.length > 0){
+		hooks.isError = true;
+		if(!dispatch($frm, 'regx:failure', {errors: errors}, true)){ return false; }
+		return hooks.onFailure(e, errors, getTelValues($frm));
+	}
+	if(!dispatch($frm, 'regx:success', {errors: errors}, true)){ return false; }
+	return hooks.onSuccess(e, getTelValues($frm));
+}
+//Get the numbers of the valid telephone inputs of a form in E.164 format, by name
+function getTelValues($frm){
+	var values = {},
+		$elem,
+		number,
+		i;
+	
+	for(i = 0; i < $frm.elements.length; i++){
+		$elem = $frm.elements[i];
+		if(!$elem.name || $elem.disabled || (attr($elem, 'type') || '').toLowerCase() !== 'tel'){ continue; }
+		number = parseTel($elem.value, getTelCountry($elem));
+		if(typeof number === 'string'){ values[$elem.name] = number; }
+	}
+	return values;
+}
+//Stop the form submission
+function preventSubmit(e){
+	if (e.preventDefault) { 
+		e.preventDefault(); 
+	} else { 
+		e.returnValue = false;
+	}
+}
+//Submit the form without firing the submit event again, along with the name and value of the button it was submitted with
+function submitForm($frm, $submitter){
+	var $inputs = [],
+		name = ($submitter && !$submitter.disabled ? attr($submitter, 'name') : null),
+		i;
 	
-			//Basestep is 1970-01-01 unless the following.
-			//If max is present, it is the basestep unless min is present.
-			//If min is present, it is the basestep.
-			if(spanDays(basestep, val) % step !== 0){
-				throw {type: 'stepMismatch', msg: 'This date is not a valid step ('+step+' days) of the base date ('+pad(4, basestep[0])+'-'+pad(2, basestep[1])+'-'+pad(2, basestep[2])+').'};
-			}
+	//form.submit() leaves the button out, so it is sent through hidden inputs. Image buttons send the coordinates of the click.
+	if(name){
+		if((attr($submitter, 'type') || '').toLowerCase() === 'image'){
+			$inputs.push(hiddenInput(name + '.x', '0'), hiddenInput(name + '.y', '0'));
+		} else {
+			$inputs.push(hiddenInput(name, $submitter.value || ''));
 		}
+		for(i = 0; i < $inputs.length; i++){ $frm.appendChild($inputs[i]); }
+	}
+	
+	//A field named "submit" shadows the form's submit method.
+	if(typeof HTMLFormElement !== 'undefined' && HTMLFormElement.prototype.submit){
+		HTMLFormElement.prototype.submit.call($frm);
+	} else {
+		$frm.submit();
+	}
+	
+	for(i = 0; i < $inputs.length; i++){ $frm.removeChild($inputs[i]); }
+	
+	function hiddenInput(name, value){
+		var $input = document.createElement('input');
 		
-		return;
+		$input.type = 'hidden';
+		$input.name = name;
+		$input.value = value;
+		return $input;
 	}
+}
+//Send the form to the server for validation, falling back to local validation if that fails
+function validateOnServer($frm, callback){
+	var url = attr($frm, 'data-regx-server') || SERVER_VALIDATION_URL || attr($frm, 'action') || window.location.href,
+		done = false,
+		abort,
+		timer,
+		//The answer comes in after onSubmitRegX has returned, so it is handled with the settings of the form's instance again.
+		finish = bindInstance(function(err, response){
+			if(done){ return; }
+			done = true;
+			clearTimeout(timer);
+			
+			response = (err ? null : parseErrors(response));
+			if(response === null){ response = RegX.checkValidity($frm, true); }
+			callback(response);
+		});
 	
-	throw {type: 'typeMismatch', msg: 'This is not a valid date string. e.g. "YYYY-MM-DD"'};
-
-	function spanDays(base, val){
-		//Determine amount of weeks in between span of years
-		//86400000 = milliseconds in a day.
-		return (new Date(base[0],(base[1]-1),base[2]).getTime() - new Date(val[0],(val[1]-1),val[2]).getTime()) / 86400000;
+	timer = setTimeout(function(){
+		if(typeof abort === 'function'){ abort(); }
+		finish({type: 'timeout'});
+	}, SERVER_VALIDATION_TIMEOUT);
+	
+	try{ abort = RegX.transport({method: 'POST', url: url, body: serializeForm($frm), timeout: SERVER_VALIDATION_TIMEOUT}, finish); }
+	catch(e){ finish(e); }
+}
+//Read the ERRORS array out of a server response, returns null if it isn't one
+function parseErrors(response){
+	if(typeof response === 'string'){
+		if(typeof JSON === 'undefined'){ return null; }
+		try{ response = JSON.parse(response); }
+		catch(e){ return null; }
 	}
+	if(response === true){ return []; }
+	return (response instanceof Array ? response : null);
 }
-function gregorianDate(val) {
-	var year,
-		month,
-		day = parseInt(val[3],10);
+//URL encode the successful controls of a form
+function serializeForm($frm){
+	var pairs = [],
+		$elem,
+		type,
+		i,
+		j;
+	
+	for(i = 0; i < $frm.elements.length; i++){
+		$elem = $frm.elements[i];
+		type = (attr($elem, 'type') || '').toLowerCase();
 		
-	//Check to see if month year string is valid.
-	val = gregorianMonth(val);
-	if(!val) { return false; }
-	year = val[0];
-	month = val[1];
+		if(!$elem.name || $elem.disabled || type === 'submit' || type === 'reset' || type === 'button' || type === 'image' || type === 'file'){ continue; }
+		if((type === 'checkbox' || type === 'radio') && !$elem.checked){ continue; }
+		
+		if($elem.nodeName.toLowerCase() === 'select' && $elem.multiple){
+			for(j = 0; j < $elem.options.length; j++){
+				if($elem.options[j].selected){ pairs.push(encode($elem.name) + '=' + encode($elem.options[j].value)); }
+			}
+		} else {
+			pairs.push(encode($elem.name) + '=' + encode($elem.value));
+		}
+	}
+	return pairs.join('&');
 	
-	//Check day to make sure it's valid for the year.
-	if(1 > day || day > 31 || (day > 30 && (month === 4 || month === 6 || month === 9 || month === 11)) || (month === 2 && (day > 29 || (day > 28 && !isLeapYear(year))))){
-		return false;
+	function encode(str){
+		return encodeURIComponent(str).replace(/%20/g, '+');
 	}
-
-	return [year, month, day];
 }
-
-/**
-* This function checks if the field's value is a valid time, optionally within a range.
-* The time string must contain 2 digits for the hour ranging from 00 to 23, followed by a colon, followed by 2 minute digits, ranging from 00 to 59, optionally followed by a colon and two seconds digits, ranging from 00 to 59, optionally followed by a period and from one to three digits representing fractional seconds.
-* __The time input supports both a min and a max time. These strings must be valid time strings.__
-* The time input also supports a step attribute, which is an integer describing how many seconds one should step.
-*
-* @method checkMonth
-* @private
-*/
-function checkTime($input){ //HH:MM{:SS{.F{F{F}}}}
-	if($input.selector !== undefined) $input = $input[0];
-
-	var val          = $input.value,
-	    max          = attr($input, 'max'),
-	    min          = attr($input, 'min'),
-		step         = attr($input, 'step'),
-		defaultstep  = 60, //Default step is 60 seconds
-		basestep     = attr($input, 'value'), //basestep is min, then value if exists, then the type default if it exists, than 0
-	    regex        = /^(\d{2}):(\d{2})(:(\d{2})(\.(\d{1,3}))?)?$/,
-		tDate;
-					
-	if(USE_SANITATION) {
-		val = trim(val);
-		if(max) max = trim(max);
-		if(min) min = trim(min);
-		if(step) step = trim(step);
-		if(basestep) basestep = trim(basestep);
-	}
+//Click Handler for Submits
+function onClickRegX(e){
+	var $elem = e.target || e.srcElement;
 	
-	if(!regex.test(val)){ throw {type: 'typeMismatch', msg: 'This is not a valid time string. e.g. "HH:MM:SS.FFF" or "HH:MM:SS" or "HH:MM"'}; }
+	//Clicks on the content of a <button> come from its children.
+	while($elem && $elem.nodeType === 1 && !/^(input|button)$/i.test($elem.nodeName)){ $elem = $elem.parentNode; }
+	if(!$elem || $elem.nodeType !== 1 || !$elem.form || $elem.form.regxUnbound || !/^(submit|image)$/i.test($elem.type || '')){ return; }
 	
-	val = gregorianTime(val.match(regex));
+	//Browsers without SubmitEvent.submitter don't tell the submit handler which button was used.
+	$elem.form.regxSubmitter = $elem;
+	if(attr($elem, 'type') === 'submit' && typeof attr($elem, 'formnovalidate') == 'string'){
+		$elem.form.regxFormnovalidate = true;
+	}
+}
+//Focus Handler, which renders the captchas of a form the first time one of its fields is focused
+function onFocusRegX(e){
+	var $elem = e.target || e.srcElement;
 	
-	if(val && val.length === 4) { //Match passes an array with 7,5 or 3 args
-		tDate = new Date(1970,0,1,val[0],val[1],val[2],val[3]).getTime();
+	if(!$elem || !$elem.form || $elem.form.regxUnbound){ return; }
+	renderCaptchas($elem.form);
+}
+//Live Validation Handler for focusout, change and input events
+function onLiveRegX(e){
+	var $elem = e.target || e.srcElement,
+		mode,
+		debounce;
 	
-		//Check Max Time
-		if(regex.test(max)) {
-			max = gregorianTime(max.match(regex));
-			if((max && max.length === 4) && (new Date(1970,0,1,max[0],max[1],max[2],max[3]).getTime() < tDate)){
-				throw {type: 'rangeOverflow', msg: 'This time is past the maximum time ('+pad(2, max[0])+':'+pad(2, max[1])+':'+pad(2, max[2])+'.'+pad(3, max[3], true)+').'};
-			}
-		}
-		//Check Min Date
-		if(regex.test(min)) {
-			min = gregorianTime(min.match(regex));
-			if((min && min.length === 4) && (new Date(1970,0,1,min[0],min[1],min[2],min[3]).getTime() > tDate)){
-				throw {type: 'rangeUnderflow', msg: 'This time is sooner than the minimum time ('+pad(2, min[0])+':'+pad(2, min[1])+':'+pad(2, min[2])+'.'+pad(3, min[3], true)+').'};
-			}
-			basestep = min;
-		} else{
-			//If no min, do basestep
-			//Base step in this case should be the value attr if it was set, otherwise zero it out.
-			basestep = (regex.test(basestep) ? gregorianTime(basestep.match(regex)) : [0,0,0,0]);
-			if(basestep === false){ basestep = [0,0,0,0]; }
-		}
-		
-		//Check Step
-		if(step !== 'any'){
-			if(!/^\d+$/.test(step)){ step = defaultstep; }
-			else { step = parseInt(step, 10); }
-			
-			//Basestep is the value unless the min is present.
-			if(spanTime(basestep, val) % step !== 0){
-				throw {type: 'stepMismatch', msg: 'This time is not a valid step ('+step+' seconds) of the base time ('+pad(2, basestep[0])+':'+pad(2, basestep[1])+':'+pad(2, basestep[2])+'.'+pad(3, basestep[3], true)+').'};
+	if(!$elem || !/^(input|select|textarea)$/i.test($elem.nodeName) || !$elem.form || $elem.form.regxUnbound || typeof attr($elem.form, 'novalidate') == 'string'){ return; }
+	if(isForeign($elem)){ return useInstance(getInstance($elem), onLiveRegX, [e]); }
+	
+	mode = getLiveMode($elem);
+	switch(mode){
+		case 'blur':
+			if(e.type === 'focusout'){ validateLive($elem); }
+			break;
+		case 'change':
+			if(e.type === 'change'){ validateLive($elem); }
+			break;
+		case 'submit':
+			if(!$elem.form.regxSubmitted){ break; }
+			/* falls through */
+		case 'input':
+			if(e.type === 'change'){
+				clearTimeout($elem.regxLiveTimer);
+				validateLive($elem);
+			} else if(e.type === 'input'){
+				debounce = parseInt(attr($elem, 'data-regx-debounce') || attr($elem.form, 'data-regx-debounce'), 10);
+				clearTimeout($elem.regxLiveTimer);
+				$elem.regxLiveTimer = setTimeout(function(){ validateLive($elem); }, (isNaN(debounce) || debounce < 0 ? 300 : debounce));
 			}
-			
-		}
+			break;
+	}
+}
+//Get the live validation mode of a field, from the field, its form or LIVE_VALIDATION
+function getLiveMode($elem){
+	var mode = attr($elem, 'data-regx-live');
+	
+	if(typeof mode !== 'string' || mode === ''){ mode = attr($elem.form, 'data-regx-live'); }
+	if(typeof mode !== 'string' || mode === ''){ mode = LIVE_VALIDATION; }
+	return (typeof mode === 'string' ? mode.toLowerCase() : null);
+}
+//Validate a single field and pass it to RegX.onFieldValid or RegX.onFieldInvalid
+function validateLive($elem){
+	var error,
+		$fields,
+		i;
 	
+	if(isForeign($elem)){ return useInstance(getInstance($elem), validateLive, [$elem]); }
+	//Wait for the patterns file before reporting the field.
+	if(needsPatterns($elem)){
+		patternsCallbacks.push(function(){ validateLive($elem); });
 		return;
 	}
+	//Validate a copy of the field, so USE_SANITATION doesn't wipe out values the user is still typing, such as "-" or "1e".
+	error = checkElementValidity(describeElement($elem), true);
+	$fields = getGroup($elem);
 	
-	throw {type: 'typeMismatch', msg: 'This is not a valid time string. e.g. "HH:MM:SS.FFF" or "HH:MM:SS" or "HH:MM"'};
+	//Wait for the asynchronous validator before reporting the field.
+	if(error === true && needsAsync($elem)){
+		validateAsync($elem, onAsyncLive);
+		return;
+	}
 	
-	function spanTime(base, val){
-		//Determine amount of time in between span of times
-		//1000 = milliseconds in a second.
-		return (new Date(1970,0,1,base[0],base[1],base[2],base[3]).getTime() - new Date(1970,0,1,val[0],val[1],val[2],val[3]).getTime()) / 1000;
+	for(i = 0; i < $fields.length; i++){ markField($fields[i], isValidatable($fields[i]) && error !== true); }
+	if(isRendered($elem.form)){ renderField($elem, (error === true ? null : error)); }
+	
+	if(error === true){
+		(current || RegX).onFieldValid($elem);
+		dispatch($elem, 'regx:valid', null, false);
+	} else {
+		(current || RegX).onFieldInvalid($elem, error);
+		dispatch($elem, 'regx:invalid', {error: error}, false);
 	}
 }
-function gregorianTime(val){
-	var hour     = parseInt(val[1],10),
-		minute   = parseInt(val[2],10),
-		second   = (typeof val[4] !== 'undefined' ? parseInt(val[4],10) : 0),
-		fraction = (typeof val[6] !== 'undefined' ? parseInt(pad(3, val[6], true),10) : 0);
+//Dispatch regx:invalid or regx:valid from every field of a form, once per radio or checkbox group
+function dispatchFields($frm, errors){
+	var byName = {},
+		names = [],
+		$elem,
+		i;
 	
-	//Check day to make sure it's valid for the year.
-	if(hour < 0 || hour > 23 || minute < 0 || minute > 59 || second < 0 || second > 59 || fraction < 0 || fraction > 999){
-		return false;
+	for(i = 0; i < errors.length; i++){
+		if(!byName.hasOwnProperty(errors[i].name)){ byName[errors[i].name] = errors[i]; }
 	}
+	for(i = 0; i < $frm.elements.length; i++){
+		$elem = $frm.elements[i];
+		if(!$elem.name || indexOf(names, $elem.name) > -1 || !isValidatable($elem)){ continue; }
+		names.push($elem.name);
 		
-	return [hour,minute,second,fraction];
+		if(byName.hasOwnProperty($elem.name)){ dispatch($elem, 'regx:invalid', {error: byName[$elem.name]}, false); }
+		else { dispatch($elem, 'regx:valid', null, false); }
+	}
 }
-
-/**
-* This function checks if the field's value is a valid datetime (not including timezones), optionally within a range.
-* The datetime string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12, followed by a dash, followed by two day digits, ranging from 01 and 31, followed by a space or the letter 'T', followed by 2 digits for the hour ranging from 00 to 23, followed by a colon, followed by 2 minute digits, ranging from 00 to 59, optionally followed by a colon and two seconds digits, ranging from 00 to 59, optionally followed by a period and from one to three digits representing fractional seconds.
-* __The datetime-local input supports both a min and a max datetime. These strings must be valid datetime-local strings.__
-* The datetime-local input also supports a step attribute, which is an integer describing how many seconds one should step.
-*
-* @method checkDatetimelocal
-* @private
-*/
-function checkDatetimelocal($input){ //YYYY-MM-DD HH:MM(:SS{:F{F{F}}}) or YYYY-MM-DD"T"HH:MM(:SS{:F{F{F}}})
-	if($input.selector !== undefined) $input = $input[0];
+//Dispatch a bubbling CustomEvent, returning false if a listener cancelled it
+function dispatch($elem, type, detail, cancelable){
+	var event;
 	
-	var val          = $input.value,
-	    max          = attr($input, 'max'),
-	    min          = attr($input, 'min'),
-		step         = attr($input, 'step'),
-		defaultstep  = 60, //Default step is 60 seconds
-		basestep     = attr($input, 'value'),
-		regex        = /^(\d{4})\-(\d{2})\-(\d{2})( |T)(\d{2}):(\d{2})(:(\d{2})(\.(\d{1,3}))?)?$/,
-		tDate;
-					
-	if(USE_SANITATION) {
-		val = trim(val);
-		if(max) max = trim(max);
-		if(min) min = trim(min);
-		if(step) step = trim(step);
-		if(basestep) basestep = trim(basestep);
+	if(typeof CustomEvent === 'function'){
+		event = new CustomEvent(type, {bubbles: true, cancelable: cancelable, detail: detail});
+	} else if(document.createEvent){
+		event = document.createEvent('CustomEvent');
+		event.initCustomEvent(type, true, cancelable, detail);
+	} else {
+		//Browsers without DOM events only have the callbacks.
+		return true;
 	}
+	return $elem.dispatchEvent(event);
+}
+//Set or clear aria-invalid on the fields of a form from the ERRORS array
+function markFields($frm, errors){
+	var names = {},
+		i;
 	
-	if(!regex.test(val)){ throw {type: 'typeMismatch', msg: 'This is not a valid datetime-local string. e.g. "YYYY-MM-DD HH:MM:SS.FFF" or "YYYY-MM-DD\'T\'HH:MM:SS.FFF"'}; }
-	
-	val = gregorianDateTimeLocal(val.match(regex));
-
-	if(val && val.length === 7) {
-		tDate = new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime();
+	for(i = 0; i < errors.length; i++){ names[errors[i].name] = true; }
+	for(i = 0; i < $frm.elements.length; i++){
+		if($frm.elements[i].name){ markField($frm.elements[i], isValidatable($frm.elements[i]) && names.hasOwnProperty($frm.elements[i].name)); }
+	}
+}
+//Set or clear aria-invalid on a field
+function markField($elem, invalid){
+	if(!$elem.setAttribute){ return; }
+	if(invalid){ $elem.setAttribute('aria-invalid', 'true'); }
+	else { $elem.removeAttribute('aria-invalid'); }
+}
+//Move the focus to the first invalid field of a form, in DOM order
+function focusInvalid($frm){
+	var i;
 	
-		//Check Max Time
-		if(regex.test(max)) {
-			max = gregorianDateTimeLocal(max.match(regex));
-			if((max && max.length === 7) && (new Date(max[0],(max[1]-1),max[2],max[3],max[4],max[5],max[6]).getTime() < tDate)){
-				throw {type: 'rangeOverflow', msg: 'This date is past the maximum datetime ('+pad(4, max[0])+'-'+pad(2, max[1])+'-'+pad(2, max[2])+' '+pad(2, max[3])+':'+pad(2, max[4])+':'+pad(2, max[5])+'.'+pad(3, max[6], true)+').'};
-			}
-		}
-		
-		//Check Min Date
-		if(regex.test(min)) {
-			min = gregorianDateTimeLocal(min.match(regex));
-			if((min && min.length === 7) && (new Date(min[0],(min[1]-1),min[2],min[3],min[4],min[5],min[6]).getTime() > tDate)){
-				throw {type: 'rangeUnderflow', msg: 'This time is sooner than the minimum datetime ('+pad(4, min[0])+'-'+pad(2, min[1])+'-'+pad(2, min[2])+' '+pad(2, min[3])+':'+pad(2, min[4])+':'+pad(2, min[5])+'.'+pad(3, min[6], true)+').'};
-			}
-			basestep = min;
-		} else{
-			//If no min, do basestep
-			//Base step in this case should be the value attr if it was set, otherwise zero it out.
-			basestep = (regex.test(basestep) ? gregorianDateTimeLocal(basestep.match(regex)) : [1970,0,1,0,0,0,0]);
-			if(basestep === false){ basestep = [1970,0,1,0,0,0,0]; }
-		}
-		
-		//Check Step
-		if(step !== 'any'){
-			if(!/^\d+$/.test(step)){ step = defaultstep; }
-			else { step = parseInt(step, 10); }
-			
-			//Basestep is the value unless the min is present.
-			if(spanDateTimeLocal(basestep, val) % step !== 0){
-				throw {type: 'stepMismatch', msg: 'This time is not a valid step ('+step+' seconds) of the base datetime ('+pad(4, basestep[0])+'-'+pad(2, basestep[1])+'-'+pad(2, basestep[2])+' '+pad(2, basestep[3])+':'+pad(2, basestep[4])+':'+pad(2, basestep[5])+'.'+pad(3, basestep[6], true)+').'};
-			}
-			
+	for(i = 0; i < $frm.elements.length; i++){
+		if(attr($frm.elements[i], 'aria-invalid') === 'true' && $frm.elements[i].focus){
+			$frm.elements[i].focus();
+			return;
 		}
-
-		return;
 	}
-
-	throw {type: 'typeMismatch', msg: 'This is not a valid datetime-local string. e.g. "YYYY-MM-DD HH:MM:SS.FFF" or "YYYY-MM-DD\'T\'HH:MM:SS.FFF"'};
+}
+//Add or remove an id from the aria-describedby attribute of a field, keeping the ids already there
+function setDescribedBy($elem, id, add){
+	var ids = (attr($elem, 'aria-describedby') || '').split(/\s+/),
+		result = [],
+		i;
 	
-	function spanDateTimeLocal(base, val){
-		//Determine amount of time in between span of times
-		//1000 = milliseconds in a second.
-		return (new Date(base[0],(base[1]-1),base[2],base[3],base[4],base[5],base[6]).getTime() - new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime()) / 1000;
+	for(i = 0; i < ids.length; i++){
+		if(ids[i] !== '' && ids[i] !== id){ result.push(ids[i]); }
 	}
+	if(add){ result.push(id); }
+	
+	if(result.length > 0){ $elem.setAttribute('aria-describedby', result.join(' ')); }
+	else { $elem.removeAttribute('aria-describedby'); }
 }
-function gregorianDateTimeLocal(val){
-	var year,
-		month,
-		day,
-		hour,
-		minute,
-		second,
-		fraction,
-		valt = gregorianDate(val);
+//Report a field once its asynchronous validator has answered
+function onAsyncLive(error, $elem){
+	validateLive($elem);
+}
+//Get the type of a field registered through RegX.addType, from its data-regx-type or type attribute
+function getCustomType($elem){
+	var types = [attr($elem, 'data-regx-type'), attr($elem, 'type')],
+		i;
 	
-	//Check to see if date string is valid.
-	if(!valt) { return false; }
-	year = valt[0];
-	month = valt[1];
-	day = valt[2];
+	for(i = 0; i < types.length; i++){
+		if(typeof types[i] === 'string' && TYPES.hasOwnProperty(types[i].toLowerCase()) && VALIDATORS[TYPES[types[i].toLowerCase()]]){ return types[i].toLowerCase(); }
+	}
+	return null;
+}
+//Get the captcha provider of a field, from its data-regx-captcha attribute. Providers that aren't registered are a configuration error, unless lenient is set.
+function getCaptchaProvider($elem, lenient){
+	var name = attr($elem, 'data-regx-captcha');
 	
-	//Check to see if time string is valid.
-	valt = gregorianTime(val.slice(4));
-	if(!valt) { return false; }
-	hour = valt[0];
-	minute = valt[1];
-	second = valt[2];
-	fraction = valt[3];
+	if(typeof name !== 'string'){ return null; }
+	name = name || 'arithmetic';
+	if(!CAPTCHA_PROVIDERS.hasOwnProperty(name)){
+		if(lenient){ return null; }
+		throw new Error('RegX: the captcha provider "' + name + '" referenced by data-regx-captcha is not registered.');
+	}
+	return CAPTCHA_PROVIDERS[name];
+}
+//Set up the challenge of a captcha field, once. Fields with an unknown provider are reported when they are validated.
+function renderCaptcha($elem){
+	if($elem.regxCaptcha || !getCaptchaProvider($elem, true)){ return; }
+	$elem.regxCaptcha = true;
+	getCaptchaProvider($elem).render($elem);
+}
+//Set up the challenges of the captcha fields of a form
+function renderCaptchas($frm){
+	for(var i = 0; i < $frm.elements.length; i++){ renderCaptcha($frm.elements[i]); }
+}
+//Check the answer of a captcha field, or of a copy made by describeElement, with its provider. Checking doesn't set up the challenge, so fields whose form wasn't bound yet fail.
+function checkCaptcha($elem){
+	var $field = $elem.regxElement || $elem;
 	
-	return [year,month,day,hour,minute,second,fraction];
+	if(trim($elem.value) === ''){ throw createError('valueMissing'); }
+	if(!getCaptchaProvider($elem).verify($elem.value, $field)){ throw createError('captchaMismatch'); }
 }
-
-/**
-* This function checks if the field's value is a valid datetime (including timezones), optionally within a range.
-* The datetime string must contain 4 digits for the year, followed by a dash, followed by two month digits, ranging from 01 to 12, followed by a dash, followed by two day digits, ranging from 01 and 31, followed by a space or the letter 'T', followed by 2 digits for the hour ranging from 00 to 23, followed by a colon, followed by 2 minute digits, ranging from 00 to 59, optionally followed by a colon and two seconds digits, ranging from 00 to 59, optionally followed by a period and from one to three digits representing fractional seconds, followed by a UTC timezone, which can be expressed by the letter 'Z' or a +/- symbol followed by 2 digits for an hour offset followed by 2 digits for a minute offset.
-* __The datetime input supports both a min and a max datetime. These strings must be valid datetime strings.__
-* The datetime input also supports a step attribute, which is an integer describing how many seconds one should step.
-*
-* @method checkDatetime
-* @private
-*/
-
-
-function checkDatetime($input){//YYYY-MM-DD HH:MM(:SS{:F{F{F}}})Z|[+-]HH:MM or YYYY-MM-DD"T"HH:MM(:SS{:F{F{F}}})Z|[+-]HH:MM
-	if($input.selector !== undefined) $input = $input[0];
+//Make up a challenge of the "arithmetic" captcha provider: the two numbers and the operator, then when it expires and a nonce
+function createChallenge(expires, nonce){
+	var operator = ['+', '-', 'x'][Math.floor(Math.random() * 3)],
+		a = Math.floor(Math.random() * 10) + 1,
+		b = Math.floor(Math.random() * 10) + 1;
+	
+	//Differences are never negative.
+	if(operator === '-' && b > a){ return createChallenge(expires, nonce); }
+	return [a, operator, b, expires, nonce].join('.');
+}
+//Get the answer to a challenge of the "arithmetic" captcha provider
+function solveChallenge(challenge){
+	var parts = (typeof challenge === 'string' ? challenge.split('.') : []),
+		a = parseInt(parts[0], 10),
+		b = parseInt(parts[2], 10);
 	
-	var val          = $input.value,
-	    max          = attr($input, 'max'),
-	    min          = attr($input, 'min'),
-		step         = attr($input, 'step'),
-		defaultstep  = 60, //Default step is 60 seconds
-		basestep     = attr($input, 'value'),
-		regex        = /^(\d{4})\-(\d{2})\-(\d{2})( |T)(\d{2}):(\d{2})(:(\d{2})(\.(\d{1,3}))?)?(Z|(([+\-])(\d{2}):(\d{2})))$/,
-		tDate;
-					
-	if(USE_SANITATION) {
-		val = trim(val);
-		if(max) max = trim(max);
-		if(min) min = trim(min);
-		if(step) step = trim(step);
-		if(basestep) basestep = trim(basestep);
+	return (parts[1] === '+' ? a + b : (parts[1] === '-' ? a - b : (parts[1] === 'x' ? a * b : NaN)));
+}
+//Get the asynchronous validator of a field
+function getAsyncValidator($elem){
+	var name = attr($elem, 'data-regx-async');
+	
+	return (typeof name === 'string' && typeof ASYNC_VALIDATORS[name] === 'function' ? ASYNC_VALIDATORS[name] : null);
+}
+//Check if a field's value still has to go through its asynchronous validator
+function needsAsync($elem){
+	return !!getAsyncValidator($elem) && !$elem.disabled && !($elem.regxAsync && $elem.regxAsync.value === $elem.value && !$elem.regxAsync.retry);
+}
+//Check if any field of a form still has to go through its asynchronous validator
+function needsAsyncForm($frm){
+	for(var i = 0; i < $frm.elements.length; i++){
+		if(needsAsync($frm.elements[i])){ return true; }
 	}
+	return false;
+}
+//Run the asynchronous validator of a field, cancelling the check of a stale value. The callback gets the field's error (or true) and the field.
+function validateAsync($elem, callback){
+	var validator = getAsyncValidator($elem),
+		value = $elem.value,
+		pending = $elem.regxAsyncPending,
+		callbacks = [],
+		controller = null,
+		finish,
+		result;
 	
-	if(!regex.test(val)){ throw {type: 'typeMismatch', msg: 'This is not a valid datetime string. e.g. "YYYY-MM-DD HH:MM:SS.FFF\'Z\'" or "YYYY-MM-DD\'T\'HH:MM:SS.FFF[+/-]HH:MM"'}; }
+	if(isForeign($elem)){ return useInstance(getInstance($elem), validateAsync, [$elem, callback]); }
+	if($elem.regxAsync && $elem.regxAsync.retry && !pending){ $elem.regxAsync = null; }
+	//The validator answers after this function has returned, so the answer is handled with the settings of the form's instance again.
+	finish = bindInstance(done);
 	
-	val = gregorianDateTime(val.match(regex));
-
-	if(val && val.length === 10) {
-		tDate = new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime() + timezoneToMilli(val[7],val[8],val[9]);
+	//Only values that satisfy every other constraint are sent to the validator, and only once.
+	if(!needsAsync($elem) || checkElementValidity($elem, true) !== true){
+		callback(checkElementValidity($elem, true), $elem);
+		return;
+	}
 	
-		//Check Max Time
-		if(regex.test(max)) {
-			max = gregorianDateTime(max.match(regex));
-			if((max && max.length === 10) && (new Date(max[0],(max[1]-1),max[2],max[3],max[4],max[5],max[6]).getTime() + timezoneToMilli(max[7],max[8],max[9]) < tDate)){
-				throw {type: 'rangeOverflow', msg: 'This date is past the maximum datetime ('+pad(4, max[0])+'-'+pad(2, max[1])+'-'+pad(2, max[2])+' '+pad(2, max[3])+':'+pad(2, max[4])+':'+pad(2, max[5])+'.'+pad(3, max[6], true)+max[9]+pad(2, max[7])+':'+pad(2, max[8])+').'};
-			}
-		}
-
-		//Check Min Date
-		if(regex.test(min)) {
-			min = gregorianDateTime(min.match(regex));
-			if((min && min.length === 10) && (new Date(min[0],(min[1]-1),min[2],min[3],min[4],min[5],min[6]).getTime() + timezoneToMilli(min[7],min[8],min[9]) > tDate)){
-				throw {type: 'rangeUnderflow', msg: 'This time is sooner than the minimum datetime ('+pad(4, min[0])+'-'+pad(2, min[1])+'-'+pad(2, min[2])+' '+pad(2, min[3])+':'+pad(2, min[4])+':'+pad(2, min[5])+'.'+pad(3, min[6], true)+min[9]+pad(2, min[7])+':'+pad(2, min[8])+').'};
-			}
-			basestep = min;
-		} else{
-			//If no min, do basestep
-			//Base step in this case should be the value attr if it was set, otherwise zero it out.
-			basestep = (regex.test(basestep) ? gregorianDateTime(basestep.match(regex)) : [1970,0,1,0,0,0,0,0,0,'+']);
-			if(basestep === false){ basestep = [1970,0,1,0,0,0,0,0,0,'+']; }
+	if(pending){
+		//Wait on the check of this value that's already running.
+		if(pending.value === value){
+			if(indexOf(pending.callbacks, callback) < 0){ pending.callbacks.push(callback); }
+			return;
 		}
+		//The value changed, so the running check is stale. Whoever waited on it waits on the new one.
+		clearTimeout(pending.timer);
+		if(pending.controller){ pending.controller.abort(); }
+		callbacks = pending.callbacks;
+	}
+	if(indexOf(callbacks, callback) < 0){ callbacks.push(callback); }
+	
+	if(typeof AbortController !== 'undefined'){ controller = new AbortController(); }
+	pending = $elem.regxAsyncPending = {value: value, callbacks: callbacks, controller: controller, timer: null};
+	setPending($elem, true);
+	
+	//A validator that doesn't answer in time is handled like one that failed.
+	pending.timer = setTimeout(function(){
+		if(controller){ controller.abort(); }
+		finish(null, true);
+	}, ASYNC_VALIDATION_TIMEOUT);
+	
+	try{
+		result = validator(value, $elem, (controller ? controller.signal : null));
+	} catch(e){
+		finish(null, true);
+		return;
+	}
+	if(result && typeof result.then === 'function'){
+		result.then(finish, function(){ finish(null, true); });
+	} else {
+		finish(result);
+	}
+	
+	//A validator that failed leaves the field invalid, as the value couldn't be checked.
+	function done(result, failed){
+		var i;
 		
-		//Check Step
-		if(step !== 'any'){
-			if(!/^\d+$/.test(step)){ step = defaultstep; }
-			else { step = parseInt(step, 10); }
-			
-			//Basestep is the value unless the min is present.
-			if(spanDateTime(basestep, val) % step !== 0){
-				throw {type: 'stepMismatch', msg: 'This time is not a valid step ('+step+' seconds) of the base datetime ('+pad(4, basestep[0])+'-'+pad(2, basestep[1])+'-'+pad(2, basestep[2])+' '+pad(2, basestep[3])+':'+pad(2, basestep[4])+':'+pad(2, basestep[5])+'.'+pad(3, basestep[6], true)+basestep[9]+pad(2, basestep[7])+':'+pad(2, basestep[8])+').'};
-			}
-			
-		}
+		//A newer value is being checked.
+		if($elem.regxAsyncPending !== pending){ return; }
+		clearTimeout(pending.timer);
+		$elem.regxAsyncPending = null;
+		setPending($elem, false);
 		
-		return;	
+		//Failed checks are run again the next time the field is validated, instead of being kept for the value.
+		$elem.regxAsync = {value: value, error: null, retry: !!failed};
+		if(failed){ $elem.regxAsync.error = createError('asyncError'); }
+		else if(result === false){ $elem.regxAsync.error = createError('asyncMismatch'); }
+		else if(typeof result === 'string' && result !== ''){ $elem.regxAsync.error = {type: 'asyncMismatch', msg: result}; }
+		
+		for(i = 0; i < pending.callbacks.length; i++){ pending.callbacks[i](checkElementValidity($elem, true), $elem); }
 	}
-
-	throw {type: 'typeMismatch', msg: 'This is not a valid datetime string. e.g. "YYYY-MM-DD HH:MM:SS.FFF\'Z\'" or "YYYY-MM-DD\'T\'HH:MM:SS.FFF[+/-]HH:MM"'};
+}
+//Run the asynchronous validators of a form, then call the callback once they have all answered. The callback validates the form itself, so its fields are only checked once.
+function validateAsyncForm($frm, callback){
+	var waiting = 1,
+		i;
 	
-	function timezoneToMilli(h,m,s){
-		//3600000 milliseconds in hour
-		//60000 milliseconds in a minute
-		return (h * 3600000) + parseInt(s+(m*60000),10);
+	//Fields referencing patterns that are still loading are validated once the patterns file is in.
+	if(needsPatternsForm($frm)){
+		patternsCallbacks.push(bindInstance(function(){ validateAsyncForm($frm, callback); }));
+		return;
 	}
-	function spanDateTime(base, val){
-		//Determine amount of time in between span of times
-		//1000 = milliseconds in a second.
-		return (new Date(base[0],(base[1]-1),base[2],base[3],base[4],base[5],base[6]).getTime() + timezoneToMilli(base[7],base[8],base[9]) - new Date(val[0],(val[1]-1),val[2],val[3],val[4],val[5],val[6]).getTime() + timezoneToMilli(val[7],val[8],val[9])) / 1000;
+	for(i = 0; i < $frm.elements.length; i++){
+		if(needsAsync($frm.elements[i])){
+			waiting++;
+			validateAsync($frm.elements[i], done);
+		}
+	}
+	done();
+	
+	function done(){
+		if(--waiting === 0){ callback(); }
 	}
 }
-function gregorianDateTime(val){
-	var year,
-		month,
-		day,
-		hour,
-		minute,
-		second,
-		fraction,
-		tsign,
-		thour,
-		tminute,
-		valt = gregorianDateTimeLocal(val);
+//Flag a field as pending while its asynchronous validator is running
+function setPending($elem, pending){
+	toggleClass($elem, RegX.renderer.pendingClass, pending);
+	if(pending){ $elem.setAttribute('aria-busy', 'true'); }
+	else { $elem.removeAttribute('aria-busy'); }
+}
+//Check if errors should be rendered in a form
+function isRendered($frm){
+	var render = ($frm ? attr($frm, 'data-regx-render') : null);
 	
-	//Check to see if datetime-local string is valid.
-	if(!valt) { return false; }
-	year = valt[0];
-	month = valt[1];
-	day = valt[2];
-	hour = valt[3];
-	minute = valt[4];
-	second = valt[5];
-	fraction = valt[6];
+	if(typeof render === 'string' && render !== ''){ return !/^(false|off)$/i.test(render); }
+	return USE_INLINE_ERRORS;
+}
+//Render the error of a field (or its radio or checkbox group), or clear it when error is null. Returns the fields of the group.
+function renderField($elem, error){
+	var r = RegX.renderer,
+		$fields = getGroup($elem),
+		$last = $fields[$fields.length-1],
+		$msg = getById(messageId($fields[0])),
+		i;
 	
-	//If Z, timezone is UTC +00:00
-	if(val[11] == 'Z'){
-		tsign = '+';
-		thour = 0;
-		tminute = 0;
-	} else {
-		tsign = val[13];
-		thour = parseInt(val[13]+val[14],10);
-		tminute = parseInt(pad(2, val[15]),10);
-
-		//If better validation, check to see if the timezone is real.
-		if(USE_BETTER_VALIDATION){
-			//Range of offsets of actual time zones is -12:00 to +14:00
-			//Possible Values of UTC Time Offsets:  -12, -11, -10, -9:30, -9, -8, -7, -6, -5, -4:30, -4, -3:30, -3, -2, -1, 0 or 'Z', +1, +2, +3, +3:30, +4, +4:30, +5, +5:30, +5:45, +6, +6:30, +7, +8, +8:45, +9, +9:30, +10, +10:30, +11, +11:30, +12, +12:45, +13, +14
-			
-			switch(tminute){
-				case 0:
-					if(thour < -12 || thour > 14){ return false; }
-					break;
-				case 30:
-					if(Math.abs(thour) !== 4 && Math.abs(thour) !== 3 && Math.abs(thour) !== 9 && thour !== 5 && thour !== 6 && thour !== 10 && thour !== 11){
-						return false;
-					}
-					break;
-				case 45:
-					if(thour !== 5 && thour !== 8 && thour !== 12){ return false; }
-					break;
-				default:
-					return false;
-					break;
-			}
+	for(i = 0; i < $fields.length; i++){
+		if(!isValidatable($fields[i])){
+			clearField($fields[i]);
+			continue;
 		}
+		toggleClass($fields[i], r.errorClass, !!error);
+		toggleClass($fields[i], r.validClass, !error);
+		//Screen readers read the message along with the field.
+		setDescribedBy($fields[i], messageId($fields[0]), !!error);
 	}
 	
-	return [year,month,day,hour,minute,second,fraction,thour,tminute,tsign];	
+	if(!error){
+		if($msg){ $msg.parentNode.removeChild($msg); }
+		return $fields;
+	}
+	
+	if(!$msg){
+		$msg = document.createElement('span');
+		$msg.id = messageId($fields[0]);
+		$msg.className = r.messageClass;
+		$last.parentNode.insertBefore($msg, $last.nextSibling);
+	}
+	setContent($msg, r.message(error, $fields[0]));
+	return $fields;
 }
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
-// RegX Private Parts //////////////////////////////////////////////////////////////////////////////////////////////////////////
-////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////	
-//Get attribute value from element.
-function attr($elem, prop) {
-	if (typeof $elem.getAttribute !== "undefined" && typeof $elem[ prop ] !== "boolean") {
-		return $elem.getAttribute( prop );
-	} else {
-		return $elem[ prop ];
+//Render the error summary at the top of a form, or remove it when there are no errors.
+function renderSummary($frm, items){
+	var r = RegX.renderer,
+		$summary = getById(summaryId($frm)),
+		$title,
+		$list,
+		$item,
+		$link,
+		i;
+	
+	if($summary){ $summary.parentNode.removeChild($summary); }
+	if(items.length === 0){ return; }
+	
+	$summary = document.createElement('div');
+	$summary.id = summaryId($frm);
+	$summary.className = r.summaryClass;
+	//Announce the summary to screen readers as soon as it is shown.
+	$summary.setAttribute('role', 'alert');
+	$summary.setAttribute('aria-live', 'assertive');
+	
+	$title = document.createElement('p');
+	setContent($title, r.summaryTitle);
+	$summary.appendChild($title);
+	
+	$list = document.createElement('ul');
+	for(i = 0; i < items.length; i++){
+		$item = document.createElement('li');
+		$link = document.createElement('a');
+		$link.href = '#' + fieldId(items[i].$elem);
+		setContent($link, r.summaryItem(items[i].error, items[i].$elem));
+		addEvent($link, 'click', focusField(items[i].$elem));
+		$item.appendChild($link);
+		$list.appendChild($item);
+	}
+	$summary.appendChild($list);
+	$frm.insertBefore($summary, $frm.firstChild);
+	
+	function focusField($elem){
+		return function(e){
+			if($elem.focus){ $elem.focus(); }
+			preventSubmit(e);
+		};
 	}
 }
-
-//Trim value's
-function trim(val, lb) {
-	if(USE_SANITATION){ //Opera does not trim values as the spec requires so skip sanitization if you want to match Opera.
-		//Strip Linebreaks
-		val = val.replace(/(\r\n|\n|\r)/gm,'');
-		
-		if(!lb){
-			val = val.replace(/^\s\s*/, '').replace(/\s\s*$/, '');
-		}
+//Get the fields of the form that share a field's name, e.g. a radio group
+function getGroup($elem){
+	var $fields = [],
+		i;
+	
+	if(!$elem.form || !$elem.name){ return [$elem]; }
+	for(i = 0; i < $elem.form.elements.length; i++){
+		if($elem.form.elements[i].name === $elem.name){ $fields.push($elem.form.elements[i]); }
 	}
-	return val;
+	return $fields;
 }
-
-//Get HTML5 Input Message
-function getMessage($elem) {
-	var msg = attr($elem, 'data-regx-errormessage');
-	if(typeof msg === "string" && msg !== '') {
-		return msg;
+//Get the id of a field, giving it one if it has none. The attribute is read, as a field named "id" shadows the id of its form.
+function fieldId($elem){
+	if(!attr($elem, 'id')){ $elem.setAttribute('id', 'regx-field-' + (++uid)); }
+	return attr($elem, 'id');
+}
+//Get the id of a field's error message
+function messageId($elem){
+	return fieldId($elem) + '-regx-error';
+}
+//Get the id of a form's error summary
+function summaryId($frm){
+	return fieldId($frm) + '-regx-summary';
+}
+//Get an element by id
+function getById(id){
+	return document.getElementById(id);
+}
+//Set the text, or with RegX.renderer.html the HTML, of an element
+function setContent($elem, content){
+	content = (content === null || content === undefined ? '' : content + '');
+	if(RegX.renderer.html){
+		$elem.innerHTML = content;
+	} else {
+		while($elem.firstChild){ $elem.removeChild($elem.firstChild); }
+		$elem.appendChild(document.createTextNode(content));
 	}
+}
+//Add or remove a class
+function toggleClass($elem, className, add){
+	var classes = ' ' + ($elem.className || '').replace(/[\t\r\n]/g, ' ') + ' ';
 	
-	msg = attr($elem, 'x-moz-errormessage');
-	if(typeof msg === "string" && msg !== '') {
-		return msg;
+	if(!className){ return; }
+	classes = classes.replace(' ' + className + ' ', ' ');
+	if(add){ classes += className; }
+	classes = classes.replace(/^\s+|\s+$/g, '').replace(/\s+/g, ' ');
+	if(classes === '' && $elem.removeAttribute){ $elem.removeAttribute('class'); }
+	else if(classes !== ($elem.className || '')){ $elem.className = classes; }
+}
+//Bind RegX to a form
+function bindForm($frm){
+	listen();
+	$frm.regxUnbound = false;
+	//Submit events don't bubble up to the document in IE8 and older, the form handles them itself there.
+	if(!document.addEventListener && !$frm.regxSubmitBound){
+		addEvent($frm, 'submit', onSubmitRegX);
+		$frm.regxSubmitBound = true;
 	}
+	polyfillValidity($frm);
+	renderCaptchas($frm);
+}
+//Bind the document listeners, which handle the events of every form
+function listen(){
+	if(isListening){ return; }
+	isListening = true;
+	addEvent(document, 'submit', onSubmitRegX);
+	//Bind <input type="submit" formnovalidate> and <button type="submit" formnovalidate> to prevent validation on submit
+	addEvent(document, 'click', onClickRegX);
+	//Bind live validation, focusout is used as blur does not bubble up.
+	addEvent(document, 'focusout', onLiveRegX);
+	addEvent(document, 'change', onLiveRegX);
+	addEvent(document, 'input', onLiveRegX);
+	//Set up the captchas of forms added later on once they are used.
+	addEvent(document, 'focusin', onFocusRegX);
+}
+//Unbind the document listeners
+function unlisten(){
+	isListening = false;
+	removeEvent(document, 'submit', onSubmitRegX);
+	removeEvent(document, 'click', onClickRegX);
+	removeEvent(document, 'focusout', onLiveRegX);
+	removeEvent(document, 'change', onLiveRegX);
+	removeEvent(document, 'input', onLiveRegX);
+	removeEvent(document, 'focusin', onFocusRegX);
+}
+//Stop the live validation and asynchronous validators of a form, and forget it was submitted
+function resetForm($frm){
+	var $elem,
+		i;
 	
-	msg = $elem.validationMessage;
-	if(typeof msg === "string") {
-		return msg;
+	$frm.regxSubmitted = $frm.regxFormnovalidate = false;
+	$frm.regxSubmitter = null;
+	for(i = 0; i < $frm.elements.length; i++){
+		$elem = $frm.elements[i];
+		clearTimeout($elem.regxLiveTimer);
+		if($elem.regxAsyncPending){
+			clearTimeout($elem.regxAsyncPending.timer);
+			if($elem.regxAsyncPending.controller){ $elem.regxAsyncPending.controller.abort(); }
+			$elem.regxAsyncPending = null;
+			setPending($elem, false);
+		}
+		$elem.regxAsync = null;
 	}
+}
+//Take the rendered errors, classes and aria attributes off a form
+function clearRendered($frm){
+	var $summary = (attr($frm, 'id') ? getById(summaryId($frm)) : null),
+		i;
 	
-	return '';
+	if($summary){ $summary.parentNode.removeChild($summary); }
+	for(i = 0; i < $frm.elements.length; i++){ clearField($frm.elements[i], true); }
 }
-//Add zeros for strings
-function pad(n, str, tr){
-	if(typeof str !== 'string'){ str = str + ''; }
-	if(tr){ while(str.length < n){ str = str + '0'; } }
-	else{ while(str.length < n){ str = '0' + str; } }
-	return str;
+//Take the rendered classes and aria attributes off a field. The message of its group is taken off too when removeMessage is set, or when no field of the group is validated.
+function clearField($elem, removeMessage){
+	var r = RegX.renderer,
+		$fields = getGroup($elem),
+		$msg,
+		i;
+	
+	toggleClass($elem, r.errorClass, false);
+	toggleClass($elem, r.validClass, false);
+	markField($elem, false);
+	
+	//Messages of radio and checkbox groups are named after the first field of the group.
+	if(!attr($fields[0], 'id')){ return; }
+	setDescribedBy($elem, messageId($fields[0]), false);
+	for(i = 0; i < $fields.length && !removeMessage; i++){
+		if(isValidatable($fields[i])){ return; }
+	}
+	$msg = getById(messageId($fields[0]));
+	if($msg){ $msg.parentNode.removeChild($msg); }
 }
-//Utility function for date fields to determine leap year.
-function isLeapYear(y){
-	return !(y % 4) && (y % 100) || !(y % 400) ? true : false;
+//Check if a field takes part in validation. Buttons and fields barred from constraint validation, e.g. disabled or readonly ones, don't.
+function isValidatable($elem){
+	var tag = ($elem.nodeName || '').toLowerCase();
+	
+	if(!/^(input|select|textarea)$/.test(tag) || $elem.disabled || (tag !== 'select' && $elem.readOnly)){ return false; }
+	return !(tag === 'input' && /^(hidden|reset|button|submit|image)$/.test((attr($elem, 'type') || '').toLowerCase()));
 }
-//Submit Handler
-function onSubmitRegX(e){
-	var $frm = e.target,
-		novalidate = false,
-		returnt,
+//MutationObserver callback of USE_OBSERVER: stop the forms that were removed, and set up the ones that were added
+function onMutationRegX(mutations){
+	var i,
+		j;
+	
+	for(i = 0; i < mutations.length; i++){
+		for(j = 0; j < mutations[i].removedNodes.length; j++){ walkNode(mutations[i].removedNodes[j], resetForm); }
+		for(j = 0; j < mutations[i].addedNodes.length; j++){
+			walkNode(mutations[i].addedNodes[j], polyfillValidity);
+			walkNode(mutations[i].addedNodes[j], renderCaptchas);
+		}
+	}
+	
+	//Call fn for the forms in a node, including the node itself
+	function walkNode($node, fn){
+		var $forms,
+			k;
+		
+		if($node.nodeType !== 1){ return; }
+		//Nodes that were moved are still in the document.
+		if(fn === resetForm && document.documentElement.contains($node)){ return; }
+		
+		if(/^form$/i.test($node.nodeName)){ fn($node); }
+		$forms = $node.getElementsByTagName('form');
+		for(k = 0; k < $forms.length; k++){ fn($forms[k]); }
+	}
+}
+//Find a form from a DOM element, jQuery object or selector
+function findForm($form){
+	if(typeof $form === 'string'){ $form = (document.querySelector ? document.querySelector($form) : document.getElementById($form.replace(/^#/, ''))); }
+	if($form && $form.selector !== undefined){ $form = $form[0]; }
+	return $form || null;
+}
+//Work out the {valid, errors, fields} result of RegX.validateForm
+function getFormResult($frm){
+	var result = {valid: true, errors: [], fields: {}},
+		$elem,
+		field,
+		error,
 		i;
 	
-	//If submit button had formnovalidate set
-	if(!isFormnovalidate){
-		//For IE
-		if(typeof $frm === 'undefined'){ $frm = e.srcElement; }
+	if(isForeign($frm)){ return useInstance(getInstance($frm), getFormResult, [$frm]); }
 	
-		//If form has the attribute novalidate, stop validation.
-		if(typeof attr($frm, 'novalidate') == 'string'){ novalidate = true; }
-		if(!novalidate){
-			//Reset Boolean Error Tracker
-			RegX.isError = false;
-			
-			//Pass form to checkValidity to check all fields.
-			ERRORS = RegX.checkValidity($frm, true);
+	for(i = 0; i < $frm.elements.length; i++){
+		$elem = $frm.elements[i];
+		if(!$elem.name || $elem.disabled || !/^(input|select|textarea)$/i.test($elem.nodeName) || /^(submit|reset|button|image)$/i.test(attr($elem, 'type') || '')){ continue; }
 		
-			//There were errors...
-			if(ERRORS.length > 0){
-				RegX.isError = true;
-				returnt = RegX.onFailure(e, ERRORS);
-			} else {
-				returnt = RegX.onSuccess(e);
-			}
-			
-			//If the RegX.onSuccess or onFailure events returned false, stop the form submission
-			if(returnt === false){
-				if (e.preventDefault) { 
-					e.preventDefault(); 
-				} else { 
-					e.returnValue = false;
-				}
-				return false;	
-			}
+		//Radio and checkbox groups share one entry, holding the first error of the group.
+		if(!result.fields.hasOwnProperty($elem.name)){
+			result.fields[$elem.name] = {valid: true, error: null, value: getNormalizedValue($elem)};
+		}
+		field = result.fields[$elem.name];
+		if(!field.valid){ continue; }
+		
+		error = checkElementValidity($elem, true);
+		if(error !== true){
+			field.valid = false;
+			field.error = error;
+			result.errors.push(error);
+		}
+	}
+	result.valid = (result.errors.length === 0);
+	return result;
+}
+//Get the normalized value of a field, or of its radio or checkbox group
+function getNormalizedValue($elem){
+	var type = (attr($elem, 'type') || 'text').toLowerCase(),
+		$fields,
+		values = [],
+		val,
+		i;
+	
+	if(type === 'checkbox' || type === 'radio'){
+		$fields = getGroup($elem);
+		for(i = 0; i < $fields.length; i++){
+			if($fields[i].checked){ values.push($fields[i].value); }
+		}
+		//A lone checkbox or a radio group has one value.
+		if(type === 'radio' || $fields.length === 1){ return (values.length > 0 ? values[0] : null); }
+		return values;
+	}
+	if(/^select$/i.test($elem.nodeName) && $elem.multiple){
+		for(i = 0; i < $elem.options.length; i++){
+			if($elem.options[i].selected){ values.push($elem.options[i].value); }
+		}
+		return values;
+	}
+	if(type === 'file'){
+		$fields = getFiles($elem);
+		for(i = 0; i < $fields.length; i++){ values.push($fields[i].name); }
+		return values;
+	}
+	
+	val = (/^textarea$/i.test($elem.nodeName) ? $elem.value : trim($elem.value));
+	switch(type){
+		case 'number':
+		case 'range':
+			return (val === '' || isNaN(Number(val)) ? null : Number(val));
+		case 'email':
+			return (isMultiple($elem) ? splitEmails(val) : val);
+		case 'tel':
+			return (val !== '' && typeof parseTel(val, getTelCountry($elem)) === 'string' ? parseTel(val, getTelCountry($elem)) : val);
+	}
+	return val;
+}
+//Get the RegX.create instance of a form, or of the form of a field
+function getInstance($elem){
+	var $frm = ($elem && /^form$/i.test($elem.nodeName) ? $elem : ($elem ? $elem.form : null));
+	
+	return ($frm && $frm.regxInstance ? $frm.regxInstance : null);
+}
+//Check if a field or form belongs to an instance whose settings RegX isn't running with
+function isForeign($elem){
+	var instance = getInstance($elem);
+	
+	return (instance !== null && instance !== current);
+}
+//Call a function with the settings of an instance, then go back to the settings RegX was running with
+function useInstance(instance, fn, args){
+	var saved = getSettings(),
+		previous = current,
+		prop;
+	
+	for(prop in SETTINGS){
+		if(SETTINGS.hasOwnProperty(prop) && instance.options.hasOwnProperty(prop)){ SETTINGS[prop](instance.options[prop]); }
+	}
+	current = instance;
+	
+	try{
+		return fn.apply(null, args);
+	} finally {
+		for(prop in saved){
+			if(saved.hasOwnProperty(prop)){ SETTINGS[prop](saved[prop]); }
 		}
+		current = previous;
 	}
+}
+//Wrap a callback so it runs with the settings RegX is running with now, e.g. those of a RegX.create instance, whenever it is called
+function bindInstance(fn){
+	var instance = current;
 	
-	//Reset var
-	isFormnovalidate = false;
+	return function(){
+		if(instance && instance !== current){ return useInstance(instance, fn, arguments); }
+		return fn.apply(null, arguments);
+	};
 }
-//Click Handler for Submits
-function onClickRegX(e){
-	isFormnovalidate = true;
+//Get the settings RegX is running with
+function getSettings(){
+	return {
+		USE_SANITATION           : USE_SANITATION,
+		USE_BETTER_VALIDATION    : USE_BETTER_VALIDATION,
+		USE_SERVER_VALIDATION    : USE_SERVER_VALIDATION,
+		SERVER_VALIDATION_URL    : SERVER_VALIDATION_URL,
+		SERVER_VALIDATION_TIMEOUT: SERVER_VALIDATION_TIMEOUT,
+		ASYNC_VALIDATION_TIMEOUT : ASYNC_VALIDATION_TIMEOUT,
+		LIVE_VALIDATION          : LIVE_VALIDATION,
+		USE_INLINE_ERRORS        : USE_INLINE_ERRORS,
+		LOCALE                   : LOCALE
+	};
 }
 //Add event listeners
 function addEvent(obj, type, fn){
@@ -1499,7 +4627,11 @@ function wOL(f1, f2){
         if(f2){ f2(); }
     }
 }
-window.onload = wOL(window.onload, RegX.init);
+//Only bind when there is a browser window, RegX can also be required on the server.
+if(typeof window !== 'undefined'){
+	previousOnload = window.onload;
+	window.onload = wrappedOnload = wOL(window.onload, RegX.init);
+}
 })(RegX);
 ////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 // big.js Library //////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -2460,4 +5592,9 @@ window.onload = wOL(window.onload, RegX.init);
 
 })( this );
 
+//CommonJS: export RegX for server side validation. big.js claims module.exports above, so hand it to the number checks first.
+if(typeof module !== 'undefined' && module.exports){
+	var Big = module.exports;
+	module.exports = RegX;
+}
 //
\ No newline at end of file
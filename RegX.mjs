@@ -0,0 +1,15 @@
+/**
+* RegX.mjs
+* ES module entry point for RegX.js, so the same rules can be used to validate submitted payloads in Node. It loads RegX.server.js, which adds the captcha functions that need Node.
+*
+* @module RegX
+*/
+import { createRequire } from 'module';
+
+var RegX = createRequire(import.meta.url)('./RegX.server.js');
+
+export default RegX;
+export var validatePayload = RegX.validatePayload;
+export var validateValue = RegX.validateValue;
+export var createCaptchaChallenge = RegX.createCaptchaChallenge;
+export var verifyCaptcha = RegX.verifyCaptcha;
@@ -0,0 +1,83 @@
+/**
+* RegX.server.js
+* Node entry point for RegX.js, which adds the captcha functions that need Node's crypto module. They are kept out of RegX.js, so bundlers building RegX.js for the browser never see a require.
+* Everything else RegX.js does on the server, e.g. RegX.validatePayload, works with RegX.js on its own.
+*
+* @module RegX
+*/
+var crypto = require('crypto'),
+	RegX = require('./RegX.js');
+
+/**
+* This function creates a challenge for the built-in "arithmetic" captcha provider on the server, signed with an HMAC-SHA256 of the secret.
+* Put it in the data-regx-captcha-challenge attribute of the captcha field. The challenge is submitted along with the answer in a hidden field named after the captcha field plus "-challenge", for RegX.verifyCaptcha.
+* Without a signed challenge the question is made up in the browser, and the server can't tell it from one made up by a bot.
+*
+@example
+    //On the server
+    var challenge = RegX.createCaptchaChallenge(process.env.CAPTCHA_SECRET);
+    //In the page
+    <input type="text" name="captcha" data-regx-captcha data-regx-captcha-challenge="{{challenge}}" required>
+*
+* @method createCaptchaChallenge
+* @for RegX
+* @param secret {String} The secret the challenge is signed with, which must never reach the browser.
+* @param ttl {Number} Optional number of milliseconds the challenge can be answered in, 10 minutes by default.
+* @return {String} Returns the signed challenge.
+*/
+RegX.createCaptchaChallenge = function(secret, ttl) {
+	var challenge = createChallenge(Date.now() + (ttl > 0 ? ttl : 600000), crypto.randomBytes(12).toString('hex'));
+	
+	return challenge + '.' + signChallenge(challenge, secret);
+};
+
+/**
+* This function checks on the server that a captcha answer was given to a challenge of RegX.createCaptchaChallenge, signed with the same secret and not expired.
+* Challenges can be answered more than once until they expire, so servers that have to stop replays should remember the challenges that were answered.
+*
+@example
+    if(!RegX.verifyCaptcha(req.body['captcha-challenge'], req.body.captcha, process.env.CAPTCHA_SECRET)){
+        res.status(400).send('The answer to the challenge is not correct.');
+    }
+*
+* @method verifyCaptcha
+* @for RegX
+* @param challenge {String} The submitted challenge.
+* @param answer {String} The submitted answer.
+* @param secret {String} The secret the challenge was signed with.
+* @return {Boolean} Returns true if the challenge is genuine and not expired and the answer is correct.
+*/
+RegX.verifyCaptcha = function(challenge, answer, secret) {
+	var parts = (typeof challenge === 'string' ? challenge.split('.') : []),
+		signature;
+	
+	if(parts.length !== 6 || !secret){ return false; }
+	signature = signChallenge(parts.slice(0, 5).join('.'), secret);
+	if(parts[5].length !== signature.length || !crypto.timingSafeEqual(Buffer.from(parts[5]), Buffer.from(signature))){ return false; }
+	if(parseInt(parts[3], 10) < Date.now()){ return false; }
+	return /^\s*-?\d+\s*$/.test(answer + '') && parseInt(answer, 10) === solveChallenge(parts);
+};
+
+//Make up a challenge in the format of the "arithmetic" captcha provider of RegX.js: the two numbers and the operator, then when it expires and a nonce
+function createChallenge(expires, nonce){
+	var operator = ['+', '-', 'x'][crypto.randomInt(3)],
+		a = crypto.randomInt(1, 11),
+		b = crypto.randomInt(1, 11);
+	
+	//Differences are never negative.
+	if(operator === '-' && b > a){ return createChallenge(expires, nonce); }
+	return [a, operator, b, expires, nonce].join('.');
+}
+//Get the answer to the parts of a challenge
+function solveChallenge(parts){
+	var a = parseInt(parts[0], 10),
+		b = parseInt(parts[2], 10);
+	
+	return (parts[1] === '+' ? a + b : (parts[1] === '-' ? a - b : (parts[1] === 'x' ? a * b : NaN)));
+}
+//Sign a captcha challenge with the server's secret
+function signChallenge(challenge, secret){
+	return crypto.createHmac('sha256', secret + '').update(challenge).digest('hex');
+}
+
+module.exports = RegX;
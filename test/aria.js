@@ -0,0 +1,66 @@
+/**
+* Tests of the aria attributes RegX sets on fields. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function billing(attrs){
+	return dom.createForm(attrs || {}, [
+		{name: 'name', value: 'Ann', id: 'billing-name'},
+		{name: 'email', type: 'email', value: 'a@b.', id: 'billing-email', 'aria-describedby': 'billing-email-hint'},
+		{name: 'zip', value: '', required: true, id: 'billing-zip'}
+	]);
+}
+
+test('failed submissions mark the invalid fields and move the focus to the first one', function(){
+	var $form = billing(),
+		$name = $form.elements[0],
+		$email = $form.elements[1],
+		$zip = $form.elements[2];
+	
+	RegX.create($form, {onFailure: function(){ return false; }});
+	dom.submit($form);
+	assert.strictEqual($name.getAttribute('aria-invalid'), null);
+	assert.strictEqual($email.getAttribute('aria-invalid'), 'true');
+	assert.strictEqual($zip.getAttribute('aria-invalid'), 'true');
+	assert.strictEqual(dom.document.activeElement, $email);
+	
+	$email.value = 'a@b.co';
+	dom.submit($form);
+	assert.strictEqual($email.getAttribute('aria-invalid'), null);
+	assert.strictEqual(dom.document.activeElement, $zip);
+	RegX.unbind($form);
+});
+
+test('rendered messages are added to aria-describedby, next to the ids already there', function(){
+	var $form = billing({'data-regx-render': 'true'}),
+		$email = $form.elements[1];
+	
+	RegX.create($form, {onFailure: function(){ return false; }});
+	dom.submit($form);
+	assert.strictEqual($email.getAttribute('aria-describedby'), 'billing-email-hint billing-email-regx-error');
+	assert.strictEqual($form.elements[2].getAttribute('aria-describedby'), 'billing-zip-regx-error');
+	
+	$email.value = 'a@b.co';
+	$form.elements[2].value = '12345';
+	dom.submit($form);
+	assert.strictEqual($email.getAttribute('aria-describedby'), 'billing-email-hint');
+	assert.strictEqual($form.elements[2].getAttribute('aria-describedby'), null);
+	RegX.unbind($form);
+});
+
+test('live validation keeps aria-invalid up to date', function(){
+	var $form = billing({'data-regx-live': 'change'}),
+		$email = $form.elements[1];
+	
+	RegX.create($form);
+	$email.dispatchEvent({type: 'change', target: $email});
+	assert.strictEqual($email.getAttribute('aria-invalid'), 'true');
+	
+	$email.value = 'a@b.co';
+	$email.dispatchEvent({type: 'change', target: $email});
+	assert.strictEqual($email.getAttribute('aria-invalid'), null);
+	RegX.unbind($form);
+});
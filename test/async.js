@@ -0,0 +1,150 @@
+/**
+* Tests of the asynchronous validators, against a fake endpoint on localhost. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	http = require('node:http'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+var server,
+	base,
+	hanging = [];
+
+//The fake endpoint answers /username?u=... with whether the username is available. "slow" takes a while, "hang" never gets an answer and "broken" drops the connection.
+test.before(function(){
+	server = http.createServer(function(req, res){
+		var user = new URL(req.url, 'http://localhost').searchParams.get('u');
+		
+		if(user === 'broken'){ return req.socket.destroy(); }
+		if(user === 'hang'){ return hanging.push(res); }
+		setTimeout(function(){
+			res.setHeader('Content-Type', 'application/json');
+			res.end(JSON.stringify({available: user !== 'taken'}));
+		}, (user === 'slow' ? 100 : 0));
+	});
+	return new Promise(function(resolve){
+		server.listen(0, '127.0.0.1', function(){
+			base = 'http://127.0.0.1:' + server.address().port;
+			resolve();
+		});
+	});
+});
+test.after(function(){
+	hanging.forEach(function(res){ res.end(); });
+	server.close();
+});
+
+RegX.addAsyncValidator('username', function(value, $elem, signal){
+	return fetch(base + '/username?u=' + encodeURIComponent(value), {signal: signal})
+		.then(function(response){ return response.json(); })
+		.then(function(data){ return data.available || 'This username is taken.'; });
+});
+
+function signup(value){
+	return dom.createForm({}, [
+		{name: 'username', value: value, 'data-regx-async': 'username', required: true},
+		{name: 'email', type: 'email', value: 'a@b.co'}
+	]);
+}
+
+test('a field is pending while its validator runs', function(){
+	var $form = signup('slow'),
+		$field = $form.elements[0],
+		result = RegX.validateForm($form);
+	
+	assert.strictEqual(RegX.isPending($field), true);
+	assert.strictEqual(RegX.isPending($form), true);
+	assert.match($field.className, /regx-pending/);
+	assert.strictEqual($field.getAttribute('aria-busy'), 'true');
+	
+	return result.then(function(){
+		assert.strictEqual(RegX.isPending($field), false);
+		assert.doesNotMatch($field.className, /regx-pending/);
+		assert.strictEqual($field.getAttribute('aria-busy'), null);
+	});
+});
+
+test('accepted values are valid', function(){
+	return RegX.validateForm(signup('free')).then(function(result){
+		assert.strictEqual(result.valid, true);
+		assert.deepStrictEqual(result.fields.username, {valid: true, error: null, value: 'free'});
+	});
+});
+
+test('rejected values fail with asyncMismatch and the message of the validator', function(){
+	var $form = signup('taken');
+	
+	return RegX.validateForm($form).then(function(result){
+		assert.strictEqual(result.valid, false);
+		assert.strictEqual(result.errors.length, 1);
+		assert.strictEqual(result.errors[0].error, 'asyncMismatch');
+		assert.strictEqual(result.errors[0].msg, 'This username is taken.');
+		//The answer is kept until the value changes.
+		assert.strictEqual(RegX.checkValidity($form.elements[0], true).error, 'asyncMismatch');
+		$form.elements[0].value = 'free';
+		return RegX.validateForm($form);
+	}).then(function(result){
+		assert.strictEqual(result.valid, true);
+	});
+});
+
+test('values are only sent to the validator when the other constraints are satisfied', function(){
+	return RegX.validateForm(signup('')).then(function(result){
+		assert.strictEqual(result.errors.length, 1);
+		assert.strictEqual(result.errors[0].error, 'valueMissing');
+	});
+});
+
+test('network errors leave the field invalid until the check goes through', function(){
+	var $form = signup('broken');
+	
+	return RegX.validateForm($form).then(function(result){
+		assert.strictEqual(result.valid, false);
+		assert.strictEqual(result.errors[0].error, 'asyncError');
+		assert.strictEqual(RegX.getValidity($form.elements[0]).customError, true);
+		assert.deepStrictEqual(RegX.getValidity($form.elements[0]).regxReasons, ['asyncError']);
+		//The check is run again, even for the same value.
+		assert.strictEqual(RegX.isPending($form), false);
+		RegX.addAsyncValidator('broken', function(){ return Promise.resolve(true); });
+		$form.elements[0].setAttribute('data-regx-async', 'broken');
+		return RegX.validateForm($form);
+	}).then(function(result){
+		assert.strictEqual(result.valid, true);
+	});
+});
+
+test('validators that never answer time out and leave the field invalid', function(t){
+	var $form,
+		result;
+	
+	t.mock.timers.enable({apis: ['setTimeout']});
+	$form = signup('hang');
+	result = RegX.validateForm($form);
+	assert.strictEqual(RegX.isPending($form), true);
+	
+	t.mock.timers.tick(10000);
+	return result.then(function(result){
+		assert.strictEqual(result.valid, false);
+		assert.strictEqual(result.errors[0].error, 'asyncError');
+		assert.strictEqual(RegX.isPending($form), false);
+	});
+});
+
+test('validators that throw leave the field invalid', function(){
+	var $form = signup('free');
+	
+	RegX.addAsyncValidator('throws', function(){ throw new Error('offline'); });
+	$form.elements[0].setAttribute('data-regx-async', 'throws');
+	return RegX.validateForm($form).then(function(result){
+		assert.strictEqual(result.errors[0].error, 'asyncError');
+		assert.strictEqual(RegX.isPending($form), false);
+	});
+});
+
+test('errors thrown by listeners after the validators answered reject the promise of RegX.validateForm', function(){
+	var $form = signup('slow');
+	
+	$form.addEventListener('regx:success', function(){ throw new Error('listener'); });
+	return assert.rejects(RegX.validateForm($form), /listener/);
+});
@@ -0,0 +1,145 @@
+/**
+* Tests of the captcha providers. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	fs = require('node:fs'),
+	path = require('node:path'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js'),
+	server = require('../RegX.server.js');
+
+//Get the answer to the question the arithmetic provider placed before a field
+function answer($elem){
+	var question = dom.document.getElementById($elem.id + '-regx-captcha').textContent.match(/(\d+) (.) (\d+)/),
+		a = parseInt(question[1], 10),
+		b = parseInt(question[3], 10);
+	
+	return String(question[2] === '+' ? a + b : (question[2] === '-' ? a - b : a * b));
+}
+
+test.before(function(){
+	RegX.init();
+});
+
+test('the captcha of a form added later on is set up when one of its fields is focused', function(){
+	var $form = dom.createForm({}, [
+			{name: 'email', type: 'email'},
+			{name: 'captcha', 'data-regx-captcha': ''}
+		]),
+		$captcha = $form.elements[1];
+	
+	assert.notStrictEqual($captcha.regxCaptcha, true);
+	$form.elements[0].dispatchEvent({type: 'focusin', target: $form.elements[0]});
+	assert.ok(dom.document.getElementById($captcha.id + '-regx-captcha'));
+	
+	$captcha.value = answer($captcha);
+	assert.strictEqual(RegX.checkValidity($captcha), true);
+	//The challenge is submitted with the answer.
+	assert.strictEqual($form.elements[2].name, 'captcha-challenge');
+	assert.strictEqual($form.elements[2].value, $captcha.regxCaptchaChallenge);
+});
+
+test('validating a captcha field whose challenge isn\'t set up fails without changing the page', function(){
+	var $form = dom.createForm({}, [
+			{name: 'email', type: 'email'},
+			{name: 'captcha', 'data-regx-captcha': '', value: '4'}
+		]),
+		$captcha = $form.elements[1];
+	
+	assert.strictEqual(RegX.checkValidity($captcha, true).error, 'captchaMismatch');
+	assert.strictEqual(RegX.getValidity($captcha).customError, true);
+	assert.strictEqual($form.childNodes.length, 2);
+	assert.strictEqual($captcha.getAttribute('aria-describedby'), null);
+	assert.notStrictEqual($captcha.regxCaptcha, true);
+});
+
+test('captcha fields are checked against their other constraints too', function(){
+	var $form = dom.createForm({}, [
+			{name: 'email', type: 'email'},
+			{name: 'captcha', 'data-regx-captcha': '', pattern: '\\d'}
+		]),
+		$captcha = $form.elements[1];
+	
+	$form.elements[0].dispatchEvent({type: 'focusin', target: $form.elements[0]});
+	$captcha.value = answer($captcha);
+	//Redo until the answer has two digits, which the pattern doesn't allow.
+	while($captcha.value.length < 2){
+		RegX.resetCaptcha($captcha);
+		$captcha.value = answer($captcha);
+	}
+	assert.strictEqual(RegX.checkValidity($captcha, true).error, 'patternMismatch');
+	$captcha.value = '0';
+	assert.strictEqual(RegX.checkValidity($captcha, true).error, 'captchaMismatch');
+});
+
+test('captcha providers that are not registered are a configuration error', function(){
+	var $form = dom.createForm({}, [
+		{name: 'email', type: 'email'},
+		{name: 'captcha', 'data-regx-captcha': 'missing', value: '4'}
+	]);
+	
+	assert.throws(function(){ RegX.checkValidity($form.elements[1]); }, /captcha provider "missing"/);
+});
+
+test('RegX.unbind leaves fields alone that lost their captcha attribute', function(){
+	var $form = dom.createForm({}, [
+			{name: 'email', type: 'email'},
+			{name: 'captcha', 'data-regx-captcha': ''}
+		]);
+	
+	RegX.create($form, {});
+	assert.strictEqual($form.elements[1].regxCaptcha, true);
+	$form.elements[1].removeAttribute('data-regx-captcha');
+	RegX.unbind($form);
+	assert.strictEqual($form.elements[1].regxCaptcha, false);
+});
+
+test('signed challenges are verified on the server', function(){
+	var challenge = server.createCaptchaChallenge('secret'),
+		$form = dom.createForm({}, [
+			{name: 'email', type: 'email'},
+			{name: 'captcha', 'data-regx-captcha': '', 'data-regx-captcha-challenge': challenge}
+		]),
+		$captcha = $form.elements[1],
+		parts = challenge.split('.'),
+		value;
+	
+	RegX.create($form, {});
+	value = answer($captcha);
+	assert.strictEqual($form.elements[2].value, challenge);
+	assert.strictEqual(server.verifyCaptcha(challenge, value, 'secret'), true);
+	assert.strictEqual(server.verifyCaptcha(challenge, String(value - 1), 'secret'), false);
+	assert.strictEqual(server.verifyCaptcha(challenge, value, 'other secret'), false);
+	
+	//Challenges made up or changed in the browser aren't accepted.
+	parts[0] = String(parseInt(parts[0], 10) + 1);
+	assert.strictEqual(server.verifyCaptcha(parts.join('.'), value, 'secret'), false);
+	assert.strictEqual(server.verifyCaptcha($captcha.regxCaptchaChallenge.replace(/\.[^.]*$/, '.'), value, 'secret'), false);
+	
+	RegX.unbind($form);
+	assert.strictEqual(dom.document.getElementById($captcha.id + '-regx-captcha-challenge'), null);
+});
+
+test('signed challenges expire', function(t){
+	var challenge,
+		parts,
+		value;
+	
+	t.mock.timers.enable({apis: ['Date'], now: 1000});
+	challenge = server.createCaptchaChallenge('secret', 60000);
+	parts = challenge.split('.');
+	value = String(parts[1] === '+' ? +parts[0] + +parts[2] : (parts[1] === '-' ? parts[0] - parts[2] : parts[0] * parts[2]));
+	assert.strictEqual(server.verifyCaptcha(challenge, value, 'secret'), true);
+	t.mock.timers.tick(60001);
+	assert.strictEqual(server.verifyCaptcha(challenge, value, 'secret'), false);
+});
+
+test('RegX.js leaves Node\'s crypto module to RegX.server.js, so it can be bundled for the browser', function(){
+	var source = fs.readFileSync(path.join(__dirname, '..', 'RegX.js'), 'utf8');
+	
+	//Comments, e.g. the examples of the documentation, don't count.
+	source = source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/\/\/.*$/gm, '');
+	assert.doesNotMatch(source, /\brequire\s*\(/);
+	assert.strictEqual(server, RegX);
+});
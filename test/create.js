@@ -0,0 +1,52 @@
+/**
+* Tests of forms set up through RegX.create. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+//Answers after the caller has returned, like a validator asking a server.
+RegX.addAsyncValidator('later', function(value){
+	return new Promise(function(resolve){
+		setTimeout(function(){ resolve(value !== 'taken'); }, 5);
+	});
+});
+
+function checkout(value){
+	return dom.createForm({}, [
+		{name: 'username', value: value, 'data-regx-async': 'later'},
+		{name: 'email', type: 'email', value: 'a@b.co'}
+	]);
+}
+
+test('the answers of asynchronous validators are handled with the settings of the instance', function(){
+	var $form = checkout('taken');
+	
+	RegX.create($form, {messages: {asyncMismatch: 'This username is taken.'}});
+	return RegX.validateForm($form).then(function(result){
+		assert.strictEqual(result.errors.length, 1);
+		assert.strictEqual(result.errors[0].msg, 'This username is taken.');
+		//Forms without an instance keep the global messages.
+		return RegX.validateForm(checkout('taken'));
+	}).then(function(result){
+		assert.strictEqual(result.errors[0].msg, 'This value was not accepted.');
+	});
+});
+
+test('forms are validated with the settings of their instance, asynchronous validators included', function(){
+	var $form = dom.createForm({}, [
+		{name: 'username', value: 'taken', 'data-regx-async': 'later'},
+		{name: 'nickname', value: 'abcdef', maxlength: '3'}
+	]);
+	
+	RegX.create($form, {USE_BETTER_VALIDATION: false, messages: {asyncMismatch: 'This username is taken.'}});
+	return RegX.validateForm($form).then(function(result){
+		//maxlength is only checked on typed values by the spec, the asynchronous validator still runs.
+		assert.strictEqual(result.valid, false);
+		assert.strictEqual(result.errors.length, 1);
+		assert.strictEqual(result.errors[0].name, 'username');
+		assert.strictEqual(result.errors[0].msg, 'This username is taken.');
+		assert.strictEqual(result.fields.nickname.valid, true);
+	});
+});
@@ -0,0 +1,40 @@
+/**
+* Tests of RegX.setCustomValidity and customError. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function account(){
+	return dom.createForm({}, [
+		{name: 'username', value: 'admin', required: true},
+		{name: 'email', type: 'email', value: 'a@b.co'}
+	]);
+}
+
+test('fields flagged through setCustomValidity fail with customError until the message is cleared', function(){
+	var $form = account(),
+		$username = $form.elements[0],
+		error;
+	
+	RegX.setCustomValidity($username, 'This username is reserved.');
+	error = RegX.checkValidity($username, true);
+	assert.strictEqual(error.error, 'customError');
+	assert.strictEqual(error.error_msg, 'This username is reserved.');
+	assert.strictEqual(RegX.getValidity($username).customError, true);
+	assert.deepStrictEqual(RegX.checkValidity($form, true).map(function(error){ return error.name; }), ['username']);
+	
+	RegX.setCustomValidity($username, '');
+	assert.strictEqual(RegX.checkValidity($username), true);
+	assert.strictEqual(RegX.getValidity($username).customError, false);
+});
+
+test('a custom error wins over the constraints of the field', function(){
+	var $email = account().elements[1];
+	
+	$email.value = 'a@b.';
+	RegX.setCustomValidity($email, 'Please use your work address.');
+	assert.strictEqual(RegX.checkValidity($email, true).error, 'customError');
+	assert.strictEqual(RegX.getValidity($email).typeMismatch, true);
+});
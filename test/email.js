@@ -0,0 +1,40 @@
+/**
+* Tests of email inputs with the multiple attribute. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+function check(value, constraints){
+	constraints = constraints || {};
+	constraints.multiple = true;
+	return RegX.validateValue('email', value, constraints);
+}
+
+test('each address of the list is checked', function(){
+	assert.strictEqual(check('a@b.co, c@d.org'), true);
+	assert.strictEqual(check('a@b.co,c@d.org'), true);
+	assert.strictEqual(check(''), true);
+	//A required list needs at least one address.
+	assert.strictEqual(check('', {required: true}).error, 'valueMissing');
+});
+
+test('the addresses that failed are listed in the message and in error_values', function(){
+	var one = check('a@b.co, nope'),
+		two = check('nope, a@b.co, @x');
+	
+	assert.strictEqual(one.error, 'typeMismatch');
+	assert.deepStrictEqual(one.error_values, ['nope']);
+	assert.strictEqual(one.msg, '"nope" is not a valid email address.');
+	assert.deepStrictEqual(two.error_values, ['nope', '@x']);
+	assert.strictEqual(two.msg, 'These are not valid email addresses: "nope", "@x".');
+});
+
+test('patterns apply to every address', function(){
+	assert.strictEqual(check('a@example.com, b@example.com', {pattern: '.+@example\\.com'}), true);
+	assert.strictEqual(check('a@example.com, b@other.com', {pattern: '.+@example\\.com'}).error, 'patternMismatch');
+});
+
+test('without the multiple attribute a list is not an address', function(){
+	assert.strictEqual(RegX.validateValue('email', 'a@b.co, c@d.org').error, 'typeMismatch');
+});
@@ -0,0 +1,54 @@
+/**
+* Tests of the DOM events dispatched by RegX. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function signup(){
+	return dom.createForm({}, [
+		{name: 'email', type: 'email', value: 'a@b.'},
+		{name: 'nickname', value: 'ann'},
+		{tagName: 'button', name: 'go', type: 'submit'}
+	]);
+}
+
+test('RegX.validateForm dispatches the events of the fields and the form', function(){
+	var $form = signup(),
+		events = [];
+	
+	['regx:invalid', 'regx:valid', 'regx:failure', 'regx:success'].forEach(function(type){
+		$form.addEventListener(type, function(e){ events.push(type + (e.detail && e.detail.error ? ' ' + e.detail.error.name : '')); });
+	});
+	return RegX.validateForm($form).then(function(result){
+		assert.strictEqual(result.valid, false);
+		//The submit button isn't validated, so it gets no event.
+		assert.deepStrictEqual(events, ['regx:invalid email', 'regx:valid', 'regx:failure']);
+	});
+});
+
+test('cancelling regx:failure stops the submission before RegX.onFailure is called', function(){
+	var $form = signup(),
+		called = false,
+		event;
+	
+	RegX.create($form, {onFailure: function(){ called = true; }});
+	$form.addEventListener('regx:failure', function(e){ e.preventDefault(); });
+	event = dom.submit($form);
+	assert.strictEqual(called, false);
+	assert.strictEqual(event.defaultPrevented, true);
+	RegX.unbind($form);
+});
+
+test('regx:success is dispatched before RegX.onSuccess', function(){
+	var $form = signup(),
+		order = [];
+	
+	$form.elements[0].value = 'a@b.co';
+	RegX.create($form, {onSuccess: function(){ order.push('onSuccess'); }});
+	$form.addEventListener('regx:success', function(){ order.push('regx:success'); });
+	dom.submit($form);
+	assert.deepStrictEqual(order, ['regx:success', 'onSuccess']);
+	RegX.unbind($form);
+});
@@ -0,0 +1,33 @@
+/**
+* Tests of the messages fields carry for each constraint, data-regx-msg-*. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function age(value){
+	return dom.createForm({}, [{
+		name: 'age', type: 'number', value: value, required: true, min: 18, max: 99,
+		'data-regx-msg-rangeunderflow': 'You must be at least {min}, not {value}.',
+		'data-regx-msg-rangeoverflow': 'Please enter an age up to {max}.',
+		'data-regx-errormessage': 'Please enter your age.'
+	}]).elements[0];
+}
+
+test('the message of the constraint that failed is used, with the constraints of the field put in', function(){
+	assert.strictEqual(RegX.checkValidity(age('12'), true).msg, 'You must be at least 18, not 12.');
+	assert.strictEqual(RegX.checkValidity(age('120'), true).msg, 'Please enter an age up to 99.');
+});
+
+test('constraints without a message of their own fall back to data-regx-errormessage', function(){
+	assert.strictEqual(RegX.checkValidity(age(''), true).msg, 'Please enter your age.');
+});
+
+test('placeholders the field has no value for are left as they are', function(){
+	var $elem = dom.createForm({}, [
+		{name: 'code', value: 'ab', minlength: 3, 'data-regx-msg-tooshort': 'At least {minlength} characters, up to {maxlength}.'}
+	]).elements[0];
+	
+	assert.strictEqual(RegX.checkValidity($elem, true).msg, 'At least 3 characters, up to {maxlength}.');
+});
@@ -0,0 +1,60 @@
+/**
+* Tests of the accept, size and count constraints of file inputs. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+//Create a file input holding the given files, as the File API lists them
+function upload(attrs, files){
+	var $form = dom.createForm({}, [
+			{name: 'title', value: 'Holiday'},
+			Object.assign({name: 'photos', type: 'file', multiple: true}, attrs)
+		]),
+		$input = $form.elements[1];
+	
+	$input.files = files;
+	$input.value = (files.length ? 'C:\\fakepath\\' + files[0].name : '');
+	return $input;
+}
+
+function check($input){
+	var error = RegX.checkValidity($input, true);
+	return (error === true ? true : {error: error.error, values: error.error_values});
+}
+
+var PNG = {name: 'beach.png', size: 2048, type: 'image/png'},
+	PDF = {name: 'notes.pdf', size: 4096, type: 'application/pdf'},
+	BIG = {name: 'raw.png', size: 3 * 1048576, type: 'image/png'};
+
+test('files have to match the accept attribute', function(){
+	assert.strictEqual(check(upload({accept: 'image/*'}, [PNG, BIG])), true);
+	assert.strictEqual(check(upload({accept: '.png, application/pdf'}, [PNG, PDF])), true);
+	assert.deepStrictEqual(check(upload({accept: 'image/*'}, [PNG, PDF])), {error: 'fileTypeMismatch', values: ['notes.pdf']});
+	//Files the browser can't tell the type of only have to match an extension when one is given.
+	assert.strictEqual(check(upload({accept: 'image/png'}, [{name: 'scan', size: 10, type: ''}])), true);
+	assert.deepStrictEqual(check(upload({accept: '.png'}, [{name: 'scan', size: 10, type: ''}])), {error: 'fileTypeMismatch', values: ['scan']});
+});
+
+test('each file has to be within the size limits', function(){
+	assert.strictEqual(check(upload({'data-regx-maxsize': '2MB'}, [PNG, PDF])), true);
+	assert.deepStrictEqual(check(upload({'data-regx-maxsize': '2MB'}, [PNG, BIG])), {error: 'fileTooLarge', values: ['raw.png']});
+	assert.deepStrictEqual(check(upload({'data-regx-minsize': '3KB'}, [PNG, PDF])), {error: 'fileTooSmall', values: ['beach.png']});
+	assert.strictEqual(RegX.checkValidity(upload({'data-regx-maxsize': '2MB'}, [BIG]), true).error_params.max, '2MB');
+});
+
+test('the amount of files is limited by data-regx-maxfiles', function(){
+	assert.strictEqual(check(upload({'data-regx-maxfiles': '2'}, [PNG, PDF])), true);
+	assert.deepStrictEqual(check(upload({'data-regx-maxfiles': '2'}, [PNG, PDF, BIG])), {error: 'tooManyFiles', values: undefined});
+});
+
+test('without the File API only the extension of the file name is checked', function(){
+	var $input = upload({accept: '.png', 'data-regx-maxsize': '1KB'}, []);
+	
+	$input.files = undefined;
+	$input.value = 'C:\\fakepath\\beach.png';
+	assert.strictEqual(check($input), true);
+	$input.value = 'C:\\fakepath\\notes.pdf';
+	assert.deepStrictEqual(check($input), {error: 'fileTypeMismatch', values: ['notes.pdf']});
+});
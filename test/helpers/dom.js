@@ -0,0 +1,209 @@
+/**
+* A minimal DOM for the tests, with the parts of documents, forms and fields that RegX uses. Node has no DOM of its own.
+*/
+var BOOLEANS = ['disabled', 'required', 'multiple', 'checked'];
+
+function Node(tagName){
+	this.nodeType = 1;
+	this.nodeName = this.tagName = tagName.toUpperCase();
+	this.attributes = [];
+	this.childNodes = [];
+	this.parentNode = null;
+	this.value = '';
+}
+Node.prototype = {
+	get firstChild(){ return this.childNodes[0] || null; },
+	get nextSibling(){ return (this.parentNode ? this.parentNode.childNodes[this.parentNode.childNodes.indexOf(this) + 1] || null : null); },
+	get className(){ return this.getAttribute('class') || ''; },
+	set className(value){ this.setAttribute('class', value); },
+	get id(){ return this.getAttribute('id') || ''; },
+	set id(value){ this.setAttribute('id', value); },
+	get name(){ return this.getAttribute('name') || ''; },
+	set name(value){ this.setAttribute('name', value); },
+	get type(){ return (this.getAttribute('type') || (this.nodeName === 'INPUT' ? 'text' : '')).toLowerCase(); },
+	set type(value){ this.setAttribute('type', value); },
+	get readOnly(){ return this.getAttribute('readonly') !== null; },
+	get textContent(){ return this.childNodes.map(function(node){ return (node.nodeType === 3 ? node.data : node.textContent); }).join(''); },
+	getAttribute: function(name){
+		for(var i = 0; i < this.attributes.length; i++){
+			if(this.attributes[i].name === name.toLowerCase()){ return this.attributes[i].value; }
+		}
+		return null;
+	},
+	setAttribute: function(name, value){
+		this.removeAttribute(name);
+		this.attributes.push({name: name.toLowerCase(), value: value + '', specified: true});
+	},
+	removeAttribute: function(name){
+		this.attributes = this.attributes.filter(function(attribute){ return attribute.name !== name.toLowerCase(); });
+	},
+	appendChild: function(node){
+		return this.insertBefore(node, null);
+	},
+	insertBefore: function(node, before){
+		var index = (before ? this.childNodes.indexOf(before) : -1);
+		
+		if(node.parentNode){ node.parentNode.removeChild(node); }
+		node.parentNode = this;
+		if(index < 0){ this.childNodes.push(node); }
+		else { this.childNodes.splice(index, 0, node); }
+		if(this.form){ this.form.refresh(); }
+		return node;
+	},
+	removeChild: function(node){
+		this.childNodes.splice(this.childNodes.indexOf(node), 1);
+		node.parentNode = null;
+		if(this.form){ this.form.refresh(); }
+		return node;
+	},
+	addEventListener: addEventListener,
+	removeEventListener: removeEventListener,
+	dispatchEvent: function(event){
+		//Events bubble up through the parents to the document.
+		for(var $node = this; $node; $node = $node.parentNode || ($node === document ? null : document)){
+			callListeners($node, event);
+		}
+		return !event.defaultPrevented;
+	},
+	getElementsByTagName: function(tagName){
+		var found = [];
+		
+		(function walk($node){
+			for(var i = 0; i < $node.childNodes.length; i++){
+				if($node.childNodes[i].nodeType !== 1){ continue; }
+				if($node.childNodes[i].nodeName === tagName.toUpperCase()){ found.push($node.childNodes[i]); }
+				walk($node.childNodes[i]);
+			}
+		})(this);
+		return found;
+	},
+	contains: function(node){
+		for(; node; node = node.parentNode){
+			if(node === this){ return true; }
+		}
+		return false;
+	},
+	focus: function(){ document.activeElement = this; }
+};
+BOOLEANS.forEach(function(name){
+	Object.defineProperty(Node.prototype, name, {
+		get: function(){ return this.getAttribute(name) !== null; },
+		set: function(value){
+			if(value){ this.setAttribute(name, ''); }
+			else { this.removeAttribute(name); }
+		}
+	});
+});
+
+function addEventListener(type, fn){
+	this.listeners = this.listeners || {};
+	(this.listeners[type] = this.listeners[type] || []).push(fn);
+}
+function removeEventListener(type, fn){
+	if(this.listeners && this.listeners[type]){ this.listeners[type] = this.listeners[type].filter(function(listener){ return listener !== fn; }); }
+}
+function callListeners($node, event){
+	var listeners = ($node.listeners && $node.listeners[event.type] ? $node.listeners[event.type].slice() : []);
+	
+	for(var i = 0; i < listeners.length; i++){ listeners[i].call($node, event); }
+}
+
+//Create an element with the given attributes. The value attribute sets the value.
+function createElement(tagName, attrs){
+	var $elem = new Node(tagName),
+		name;
+	
+	for(name in attrs){
+		if(attrs.hasOwnProperty(name)){
+			if(name === 'value'){ $elem.value = attrs[name] + ''; }
+			$elem.setAttribute(name, attrs[name] === true ? '' : attrs[name]);
+		}
+	}
+	return $elem;
+}
+
+//Create a form holding fields made from attribute maps, e.g. createForm({id: 'signup'}, [{name: 'email', type: 'email'}])
+function createForm(attrs, fields){
+	var $form = createElement('form', attrs),
+		i;
+	
+	$form.elements = [];
+	$form.form = $form;
+	//Counts the submissions RegX makes itself.
+	$form.submitted = 0;
+	$form.submit = function(){ $form.submitted++; };
+	//Forms are array-like, like their elements.
+	$form.refresh = function(){
+		for(var j = 0; j < $form.length; j++){ delete $form[j]; }
+		$form.elements = collect($form, []);
+		$form.length = $form.elements.length;
+		for(j = 0; j < $form.length; j++){ $form[j] = $form.elements[j]; }
+	};
+	for(i = 0; i < fields.length; i++){
+		$form.appendChild(fields[i].nodeType ? fields[i] : createElement(fields[i].tagName || 'input', without(fields[i], 'tagName')));
+	}
+	document.body.appendChild($form);
+	document.forms.push($form);
+	return $form;
+	
+	function collect($node, elements){
+		for(var j = 0; j < $node.childNodes.length; j++){
+			if($node.childNodes[j].nodeType !== 1){ continue; }
+			if(/^(INPUT|SELECT|TEXTAREA|BUTTON)$/.test($node.childNodes[j].nodeName)){
+				$node.childNodes[j].form = $form;
+				elements.push($node.childNodes[j]);
+			}
+			collect($node.childNodes[j], elements);
+		}
+		return elements;
+	}
+}
+
+function without(obj, prop){
+	var copy = {},
+		name;
+	
+	for(name in obj){
+		if(obj.hasOwnProperty(name) && name !== prop){ copy[name] = obj[name]; }
+	}
+	return copy;
+}
+
+var document = {
+	documentElement: new Node('html'),
+	body: new Node('body'),
+	activeElement: null,
+	createElement: function(tagName){ return new Node(tagName); },
+	createTextNode: function(data){ return {nodeType: 3, data: data + '', parentNode: null}; },
+	getElementById: function(id){
+		return find(document.body);
+		
+		function find($node){
+			var found = null;
+			
+			if($node.nodeType === 1 && $node.getAttribute('id') === id){ return $node; }
+			for(var i = 0; i < ($node.childNodes || []).length && !found; i++){ found = find($node.childNodes[i]); }
+			return found;
+		}
+	},
+	addEventListener: addEventListener,
+	removeEventListener: removeEventListener
+};
+document.documentElement.appendChild(document.body);
+document.forms = [];
+global.document = document;
+
+//Submit a form through the listeners of the document, returning the event to see if the submission was stopped
+function submit($form){
+	var event = {type: 'submit', target: $form, defaultPrevented: false, preventDefault: function(){ this.defaultPrevented = true; }};
+	
+	$form.dispatchEvent(event);
+	return event;
+}
+
+module.exports = {
+	document: document,
+	createElement: createElement,
+	createForm: createForm,
+	submit: submit
+};
@@ -0,0 +1,22 @@
+/**
+* Tests of the maxlength and minlength constraints. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+test('tooShort errors report the input type', function(){
+	var error = RegX.validateValue('email', 'a@b.co', {minlength: 10});
+	
+	assert.strictEqual(error.error, 'tooShort');
+	assert.strictEqual(error.type, 'email');
+	assert.strictEqual(RegX.validateValue('text', 'ab', {minlength: 3}).type, 'text');
+	assert.strictEqual(RegX.validateValue('textarea', 'ab', {minlength: 3}).type, 'textarea');
+});
+
+test('tooLong errors report the input type', function(){
+	var error = RegX.validateValue('search', 'abcdef', {maxlength: 3});
+	
+	assert.strictEqual(error.error, 'tooLong');
+	assert.strictEqual(error.type, 'search');
+});
@@ -0,0 +1,75 @@
+/**
+* Tests of RegX.init, RegX.unbind and RegX.destroy. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+var failures = 0,
+	onFailure = RegX.onFailure;
+
+test.before(function(){
+	RegX.onFailure = function(){
+		failures++;
+		return false;
+	};
+});
+test.after(function(){
+	RegX.onFailure = onFailure;
+});
+
+function broken(){
+	return dom.createForm({}, [
+		{name: 'email', type: 'email', value: 'a@b.'},
+		{name: 'nickname', value: 'ann'}
+	]);
+}
+
+test('forms are validated again after RegX.destroy and RegX.init, once per submission', function(){
+	var $form = broken();
+	
+	RegX.init();
+	failures = 0;
+	assert.strictEqual(dom.submit($form).defaultPrevented, true);
+	assert.strictEqual(failures, 1);
+	
+	RegX.destroy();
+	RegX.destroy();
+	assert.strictEqual(dom.submit($form).defaultPrevented, false);
+	assert.strictEqual(failures, 1);
+	
+	RegX.init();
+	RegX.init();
+	assert.strictEqual(dom.submit($form).defaultPrevented, true);
+	assert.strictEqual(failures, 2);
+	RegX.destroy();
+});
+
+test('RegX.unbind only detaches its form, and RegX.init binds it again', function(){
+	var $form = broken(),
+		$other = broken();
+	
+	RegX.init();
+	failures = 0;
+	RegX.unbind($form);
+	assert.strictEqual(dom.submit($form).defaultPrevented, false);
+	assert.strictEqual(dom.submit($other).defaultPrevented, true);
+	assert.strictEqual(failures, 1);
+	
+	RegX.init();
+	assert.strictEqual(dom.submit($form).defaultPrevented, true);
+	assert.strictEqual(failures, 2);
+	RegX.destroy();
+});
+
+test('RegX.destroy resets isError', function(){
+	var $form = broken();
+	
+	RegX.init();
+	dom.submit($form);
+	assert.strictEqual(RegX.isError, true);
+	
+	RegX.destroy();
+	assert.strictEqual(RegX.isError, false);
+});
@@ -0,0 +1,95 @@
+/**
+* Tests of live validation. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function profile(attrs){
+	return dom.createForm(attrs || {}, [
+		{name: 'age', type: 'number', value: '-', required: true},
+		{name: 'nickname', value: 'ann'}
+	]);
+}
+
+//Fire an event from a field, the way the browser would while the user fills in the form
+function fire($elem, type){
+	$elem.dispatchEvent({type: type, target: $elem});
+}
+
+test('blur mode reports the field when it loses focus, without sanitizing what the user is typing', function(){
+	var $form = profile(),
+		$age = $form.elements[0],
+		reports = [];
+	
+	RegX.create($form, {
+		LIVE_VALIDATION: 'blur',
+		onFieldInvalid: function($elem, error){ reports.push('invalid ' + $elem.name + ' ' + error.error); },
+		onFieldValid: function($elem){ reports.push('valid ' + $elem.name); }
+	});
+	fire($age, 'input');
+	fire($age, 'change');
+	assert.deepStrictEqual(reports, []);
+	
+	fire($age, 'focusout');
+	assert.deepStrictEqual(reports, ['invalid age typeMismatch']);
+	assert.strictEqual($age.value, '-');
+	
+	$age.value = '42';
+	fire($age, 'focusout');
+	assert.deepStrictEqual(reports, ['invalid age typeMismatch', 'valid age']);
+	RegX.unbind($form);
+});
+
+test('input mode waits for the user to stop typing, for data-regx-debounce milliseconds', function(t){
+	var $form = profile({'data-regx-live': 'input', 'data-regx-debounce': '100'}),
+		$age = $form.elements[0],
+		reports = [];
+	
+	t.mock.timers.enable({apis: ['setTimeout']});
+	RegX.create($form, {onFieldInvalid: function($elem){ reports.push('invalid ' + $elem.name); }, onFieldValid: function($elem){ reports.push('valid ' + $elem.name); }});
+	fire($age, 'input');
+	t.mock.timers.tick(50);
+	$age.value = '4';
+	fire($age, 'input');
+	t.mock.timers.tick(99);
+	assert.deepStrictEqual(reports, []);
+	
+	t.mock.timers.tick(1);
+	assert.deepStrictEqual(reports, ['valid age']);
+	
+	//A change is reported at once and cancels the pending report.
+	$age.value = '';
+	fire($age, 'input');
+	fire($age, 'change');
+	t.mock.timers.tick(100);
+	assert.deepStrictEqual(reports, ['valid age', 'invalid age']);
+	RegX.unbind($form);
+});
+
+test('submit mode stays quiet until the form has been submitted once', function(){
+	var $form = profile({'data-regx-live': 'submit'}),
+		$age = $form.elements[0],
+		reports = [];
+	
+	RegX.create($form, {onFieldInvalid: function($elem){ reports.push('invalid ' + $elem.name); }, onFailure: function(){ return false; }});
+	fire($age, 'change');
+	assert.deepStrictEqual(reports, []);
+	
+	dom.submit($form);
+	fire($age, 'change');
+	assert.deepStrictEqual(reports, ['invalid age']);
+	RegX.unbind($form);
+});
+
+test('novalidate forms and fields of other forms are left alone', function(){
+	var $form = profile({novalidate: true}),
+		reports = [];
+	
+	RegX.create($form, {LIVE_VALIDATION: 'change', onFieldInvalid: function($elem){ reports.push($elem.name); }});
+	fire($form.elements[0], 'change');
+	fire(profile().elements[0], 'change');
+	assert.deepStrictEqual(reports, []);
+	RegX.unbind($form);
+});
@@ -0,0 +1,47 @@
+/**
+* Tests of RegX.addMessages and the locales of the built-in messages. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function newsletter(){
+	return dom.createForm({}, [
+		{name: 'name', value: '', required: true},
+		{name: 'email', type: 'email', value: 'a@b.'}
+	]);
+}
+
+test('registered messages are used for their locale, and strings stand for the default message', function(t){
+	var $form = newsletter();
+	
+	t.after(function(){ RegX.setLocale(null); });
+	RegX.addMessages('fr', {
+		'valueMissing': 'Ce champ est obligatoire.',
+		'typeMismatch': {'email': 'Cette adresse e-mail n\'est pas valide.'}
+	});
+	RegX.setLocale('fr');
+	assert.strictEqual(RegX.getLocale(), 'fr');
+	assert.strictEqual(RegX.checkValidity($form.elements[0], true).error_msg, 'Ce champ est obligatoire.');
+	assert.strictEqual(RegX.checkValidity($form.elements[1], true).error_msg, 'Cette adresse e-mail n\'est pas valide.');
+	
+	RegX.setLocale(null);
+	assert.strictEqual(RegX.getLocale(), 'en');
+	assert.notStrictEqual(RegX.checkValidity($form.elements[0], true).error_msg, 'Ce champ est obligatoire.');
+});
+
+test('messages of a locale that already has some are merged, and the object passed in is left as it was', function(t){
+	var messages = {'valueMissing': 'Champ obligatoire.'},
+		more = {'valueMissing': {'checkbox': 'Cochez cette case.'}},
+		$form = newsletter();
+	
+	t.after(function(){ RegX.setLocale(null); });
+	RegX.addMessages('fr-CA', messages);
+	RegX.addMessages('fr-CA', more);
+	assert.deepStrictEqual(messages, {'valueMissing': 'Champ obligatoire.'});
+	assert.deepStrictEqual(more, {'valueMissing': {'checkbox': 'Cochez cette case.'}});
+	
+	RegX.setLocale('fr-CA');
+	assert.strictEqual(RegX.checkValidity($form.elements[0], true).error_msg, 'Champ obligatoire.');
+});
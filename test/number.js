@@ -0,0 +1,40 @@
+/**
+* Tests of the step handling of number inputs. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+//Get the error type of a value, or true if it is valid
+function check(value, constraints) {
+	var result = RegX.validateValue('number', value, constraints);
+	return (result === true ? true : result.error);
+}
+
+test('a step of "any" puts no step constraint on the value', function(){
+	assert.strictEqual(check('1.5', {step: 'any'}), true);
+	assert.strictEqual(check('-0.001', {step: 'any'}), true);
+	assert.strictEqual(check('1.5', {step: 'ANY'}), true);
+});
+
+test('a step of "any" keeps the other constraints', function(){
+	assert.strictEqual(check('11.5', {step: 'any', max: '10'}), 'rangeOverflow');
+	assert.strictEqual(check('0.5', {step: 'any', min: '1'}), 'rangeUnderflow');
+	assert.strictEqual(check('abc', {step: 'any'}), 'typeMismatch');
+});
+
+test('without a min, the step base is zero', function(){
+	assert.strictEqual(check('1.5', {step: '0.5'}), true);
+	assert.strictEqual(check('-2', {step: '0.5'}), true);
+	assert.strictEqual(check('1.25', {step: '0.5'}), 'stepMismatch');
+});
+
+test('with a min, the step base is the min', function(){
+	assert.strictEqual(check('1.75', {step: '0.5', min: '0.25'}), true);
+	assert.strictEqual(check('1.5', {step: '0.5', min: '0.25'}), 'stepMismatch');
+});
+
+test('without a step, the value has to be an integer', function(){
+	assert.strictEqual(check('3', {}), true);
+	assert.strictEqual(check('3.5', {}), 'stepMismatch');
+});
@@ -0,0 +1,93 @@
+/**
+* Tests of USE_OBSERVER, against a fake MutationObserver. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	fs = require('node:fs'),
+	path = require('node:path'),
+	vm = require('node:vm'),
+	dom = require('./helpers/dom.js');
+
+var observers = [],
+	RegX;
+
+//The fake MutationObserver records what it watches. The tests call its callback with the mutations the browser would report.
+global.MutationObserver = function(callback){
+	this.callback = callback;
+	this.target = null;
+	this.options = null;
+	observers.push(this);
+};
+global.MutationObserver.prototype = {
+	observe: function(target, options){
+		this.target = target;
+		this.options = options;
+	},
+	disconnect: function(){ this.target = null; }
+};
+
+//USE_OBSERVER is read when RegX.js loads, so RegX.js is loaded like a script tag following the settings.
+global.RegX = {USE_OBSERVER: true};
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'RegX.js'), 'utf8'), {filename: 'RegX.js'});
+RegX = global.RegX;
+
+RegX.addAsyncValidator('never', function(value, $elem, signal){
+	$elem.signal = signal;
+	return new Promise(function(){});
+});
+
+function mutate(added, removed){
+	observers[observers.length-1].callback([{addedNodes: added || [], removedNodes: removed || []}]);
+}
+
+function lookup(){
+	return dom.createForm({}, [{name: 'username', value: 'ann', 'data-regx-async': 'never'}]);
+}
+
+test('RegX.init watches the whole document once, until RegX.destroy', function(){
+	RegX.init();
+	RegX.init();
+	assert.strictEqual(observers.length, 1);
+	assert.strictEqual(observers[0].target, dom.document.documentElement);
+	assert.deepStrictEqual(observers[0].options, {childList: true, subtree: true});
+	
+	RegX.destroy();
+	assert.strictEqual(observers[0].target, null);
+	RegX.init();
+	assert.strictEqual(observers.length, 2);
+});
+
+test('forms that are added, on their own or inside another element, get the validity properties', function(){
+	var $form = lookup(),
+		$wrapper = dom.createElement('div'),
+		$nested = lookup();
+	
+	dom.document.body.appendChild($wrapper);
+	$wrapper.appendChild($nested);
+	assert.strictEqual('validity' in $form.elements[0], false);
+	
+	mutate([$form, $wrapper]);
+	assert.strictEqual($form.elements[0].validity.valid, true);
+	assert.strictEqual($nested.elements[0].willValidate, true);
+});
+
+test('forms that are removed stop their asynchronous validators, unless they were only moved', function(t){
+	var $form = lookup(),
+		$field = $form.elements[0],
+		$wrapper = dom.createElement('div');
+	
+	t.mock.timers.enable({apis: ['setTimeout']});
+	RegX.validateForm($form);
+	assert.strictEqual(RegX.isPending($field), true);
+	
+	dom.document.body.appendChild($wrapper);
+	$wrapper.appendChild($form);
+	mutate([$form], [$form]);
+	assert.strictEqual(RegX.isPending($field), true);
+	
+	dom.document.body.removeChild($wrapper);
+	mutate([], [$wrapper]);
+	assert.strictEqual(RegX.isPending($field), false);
+	assert.strictEqual($field.signal.aborted, true);
+	assert.strictEqual($field.getAttribute('aria-busy'), null);
+});
@@ -0,0 +1,57 @@
+/**
+* Tests of the named patterns of data-regx-pattern and RegX.loadPatterns, against a stub of RegX.transport. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+var transport = RegX.transport;
+
+test.afterEach(function(){
+	RegX.transport = transport;
+});
+
+function order(zip){
+	return dom.createForm({}, [
+		{name: 'zip', value: zip, 'data-regx-pattern': 'zip'},
+		{name: 'city', value: 'Springfield'}
+	]);
+}
+
+test('forms wait on the patterns file and are validated once it is in', function(){
+	var answer,
+		result;
+	
+	RegX.transport = function(request, callback){
+		assert.strictEqual(request.url, '/patterns.json');
+		answer = callback;
+	};
+	RegX.loadPatterns('/patterns.json');
+	result = RegX.validateForm(order('1234'));
+	answer(null, '{"zip": {"pattern": "\\\\d{5}", "message": "ZIP codes have 5 digits."}}');
+	return result.then(function(result){
+		assert.deepStrictEqual(result.errors.map(function(error){ return error.msg; }), ['ZIP codes have 5 digits.']);
+	});
+});
+
+test('a patterns file that never comes in is given up on', function(t){
+	var aborted = 0,
+		error = null,
+		$form = order('12345');
+	
+	t.mock.timers.enable({apis: ['setTimeout']});
+	RegX.transport = function(){
+		return function(){ aborted++; };
+	};
+	$form.elements[0].setAttribute('data-regx-pattern', 'missing');
+	RegX.loadPatterns('/hangs.json', function(err){ error = err; });
+	//The pattern may still come in with the file.
+	assert.doesNotThrow(function(){ RegX.checkValidity($form.elements[0]); });
+	
+	t.mock.timers.tick(10000);
+	assert.strictEqual(aborted, 1);
+	assert.deepStrictEqual(error, {type: 'timeout'});
+	//Nothing is loading anymore, so the pattern is reported instead of holding the form up.
+	assert.throws(function(){ RegX.checkValidity($form.elements[0]); }, /pattern "missing"/);
+});
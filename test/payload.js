@@ -0,0 +1,40 @@
+/**
+* Tests of the error objects of RegX.validatePayload. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+test('errors survive being sent on as JSON', function(){
+	var errors = RegX.validatePayload({sku: 'abc', age: '12', to: 'a@b.co, nope'}, {
+			sku: {type: 'text', pattern: '[A-Z]{3}'},
+			age: {type: 'number', min: 18},
+			to : {type: 'email', multiple: true}
+		});
+	
+	assert.deepStrictEqual(JSON.parse(JSON.stringify(errors)), errors);
+	assert.strictEqual(errors[0].error_params.pattern, '[A-Z]{3}');
+	assert.strictEqual(errors[1].error_params.min, 18);
+	assert.deepStrictEqual(errors[2].error_values, ['nope']);
+});
+
+test('error objects have the documented fields only', function(){
+	var allowed = ['name', 'type', 'value', 'msg', 'error', 'error_msg', 'error_params', 'error_values'],
+		errors = RegX.validatePayload({name: '', sku: 'abc'}, {name: {type: 'text', required: true}, sku: {type: 'text', pattern: '[A-Z]{3}'}}),
+		i,
+		prop;
+	
+	assert.strictEqual(errors.length, 2);
+	for(i = 0; i < errors.length; i++){
+		for(prop in errors[i]){
+			assert.ok(allowed.indexOf(prop) > -1, prop);
+		}
+	}
+});
+
+test('fields named after members of Object.prototype are missing when they are not submitted', function(){
+	var errors = RegX.validatePayload({}, {constructor: {type: 'text', required: true}, toString: {type: 'text', required: true}});
+	
+	assert.deepStrictEqual(errors.map(function(error){ return error.name + ' ' + error.error; }), ['constructor valueMissing', 'toString valueMissing']);
+	assert.deepStrictEqual(RegX.validatePayload({constructor: 'x'}, {constructor: {type: 'text', required: true}}), []);
+});
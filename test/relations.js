@@ -0,0 +1,75 @@
+/**
+* Tests of the constraints between fields: data-regx-requiredif, data-regx-equalto, data-regx-after and data-regx-before. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function errorOf($elem){
+	var error = RegX.checkValidity($elem, true);
+	
+	return (error === true ? true : error.error);
+}
+
+test('data-regx-requiredif requires the field while the other field has a value, or the given value', function(){
+	var $form = dom.createForm({}, [
+			{name: 'contact', value: '', id: 'rel-contact'},
+			{name: 'phone', value: '', 'data-regx-requiredif': 'rel-contact=phone'},
+			{name: 'note', value: '', 'data-regx-requiredif': '#rel-contact'}
+		]),
+		$contact = $form.elements[0],
+		$phone = $form.elements[1],
+		$note = $form.elements[2];
+	
+	assert.strictEqual(errorOf($phone), true);
+	assert.strictEqual(errorOf($note), true);
+	
+	$contact.value = 'email';
+	assert.strictEqual(errorOf($phone), true);
+	assert.strictEqual(errorOf($note), 'requiredIfMissing');
+	
+	$contact.value = 'phone';
+	assert.strictEqual(errorOf($phone), 'requiredIfMissing');
+	$phone.value = '555-1234';
+	assert.strictEqual(errorOf($phone), true);
+	assert.strictEqual(RegX.getValidity($note).customError, true);
+	assert.deepStrictEqual(RegX.getValidity($note).regxReasons, ['requiredIfMissing']);
+});
+
+test('data-regx-equalto requires the same value as the other field', function(){
+	var $form = dom.createForm({}, [
+			{name: 'password', type: 'password', value: 'secret', id: 'rel-password'},
+			{name: 'password2', type: 'password', value: 'secrte', 'data-regx-equalto': '#rel-password'}
+		]),
+		$confirm = $form.elements[1];
+	
+	assert.strictEqual(errorOf($confirm), 'equalToMismatch');
+	$confirm.value = 'secret';
+	assert.strictEqual(errorOf($confirm), true);
+	$form.elements[0].value = $confirm.value = '';
+	assert.strictEqual(errorOf($confirm), true);
+});
+
+test('data-regx-after and data-regx-before compare dates and numbers, and skip values that can\'t be read', function(){
+	var $form = dom.createForm({}, [
+			{name: 'start', type: 'date', value: '2024-05-10', id: 'rel-start'},
+			{name: 'end', type: 'date', value: '2024-05-10', 'data-regx-after': 'rel-start'},
+			{name: 'min', type: 'number', value: '5', 'data-regx-before': 'rel-max'},
+			{name: 'max', type: 'number', value: '3', id: 'rel-max'}
+		]),
+		$start = $form.elements[0],
+		$end = $form.elements[1],
+		$min = $form.elements[2];
+	
+	assert.strictEqual(errorOf($end), 'afterMismatch');
+	$end.value = '2024-05-11';
+	assert.strictEqual(errorOf($end), true);
+	$start.value = '';
+	$end.value = '2024-01-01';
+	assert.strictEqual(errorOf($end), true);
+	
+	assert.strictEqual(errorOf($min), 'beforeMismatch');
+	$min.value = '2';
+	assert.strictEqual(errorOf($min), true);
+});
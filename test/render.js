@@ -0,0 +1,91 @@
+/**
+* Tests of the error messages rendered by RegX.renderErrors and RegX.renderer. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+function contact(attrs){
+	return dom.createForm(attrs || {}, [
+		{name: 'email', type: 'email', value: 'a@b.', id: 'contact-email'},
+		{name: 'phone', type: 'tel', value: '', required: true, id: 'contact-phone'},
+		{name: 'nickname', value: 'ann', id: 'contact-nickname'}
+	]);
+}
+
+function byClass($node, className){
+	var found = [];
+	
+	(function walk($node){
+		for(var i = 0; i < ($node.childNodes || []).length; i++){
+			if($node.childNodes[i].nodeType === 1 && (' ' + $node.childNodes[i].className + ' ').indexOf(' ' + className + ' ') > -1){ found.push($node.childNodes[i]); }
+			walk($node.childNodes[i]);
+		}
+	})($node);
+	return found;
+}
+
+test('each message is placed after its field, and the summary at the top of the form follows the form', function(){
+	var $form = contact(),
+		$email = $form.elements[0],
+		$nickname = $form.elements[2],
+		$summary,
+		links;
+	
+	RegX.renderErrors($form, RegX.checkValidity($form, true));
+	assert.strictEqual($email.nextSibling.id, 'contact-email-regx-error');
+	assert.strictEqual($email.nextSibling.className, 'regx-error');
+	assert.strictEqual($email.className, 'regx-invalid');
+	assert.strictEqual($nickname.className, 'regx-valid');
+	assert.strictEqual(byClass($form, 'regx-error').length, 2);
+	
+	$summary = $form.firstChild;
+	assert.strictEqual($summary.className, 'regx-summary');
+	assert.strictEqual($summary.getAttribute('role'), 'alert');
+	assert.strictEqual($summary.childNodes[0].textContent, RegX.renderer.summaryTitle);
+	links = $summary.childNodes[1].childNodes.map(function($item){ return $item.firstChild.href; });
+	assert.deepStrictEqual(links, ['#contact-email', '#contact-phone']);
+});
+
+test('an empty array clears the messages, the summary and the classes', function(){
+	var $form = contact();
+	
+	RegX.renderErrors($form, RegX.checkValidity($form, true));
+	RegX.renderErrors($form, []);
+	assert.deepStrictEqual(byClass($form, 'regx-error'), []);
+	assert.deepStrictEqual(byClass($form, 'regx-summary'), []);
+	assert.deepStrictEqual(byClass($form, 'regx-invalid'), []);
+	assert.strictEqual($form.elements[0].className, 'regx-valid');
+});
+
+test('templates are escaped text unless RegX.renderer.html is set', function(t){
+	var $form = contact(),
+		message = RegX.renderer.message;
+	
+	t.after(function(){ RegX.renderer.message = message; });
+	RegX.renderer.message = function(error, $elem){ return '<b>' + $elem.name + '</b>'; };
+	RegX.renderErrors($form, RegX.checkValidity($form, true));
+	assert.strictEqual($form.elements[0].nextSibling.textContent, '<b>email</b>');
+	assert.strictEqual($form.elements[0].nextSibling.childNodes[0].nodeType, 3);
+});
+
+test('forms with data-regx-render render their errors when submitted', function(){
+	var $form = contact({'data-regx-render': 'true'}),
+		$off = contact({'data-regx-render': 'false'});
+	
+	RegX.create($form, {onFailure: function(){ return false; }});
+	RegX.create($off, {onFailure: function(){ return false; }});
+	dom.submit($form);
+	dom.submit($off);
+	assert.strictEqual(byClass($form, 'regx-summary').length, 1);
+	assert.strictEqual(byClass($off, 'regx-summary').length, 0);
+	
+	$form.elements[0].value = 'a@b.co';
+	$form.elements[1].value = '555-1234';
+	dom.submit($form);
+	assert.strictEqual(byClass($form, 'regx-summary').length, 0);
+	assert.strictEqual(byClass($form, 'regx-error').length, 0);
+	RegX.unbind($form);
+	RegX.unbind($off);
+});
@@ -0,0 +1,45 @@
+/**
+* Tests of RegX.getSchema reading constraints out of HTML. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+var PAGE = '<form id="search"><input type="search" name="q" required></form>' +
+	'<form id="signup" name="signup">' +
+		'<input type="email" name="email" required>' +
+		'<!-- <input type="text" name="nickname" required> -->' +
+		'<input type="checkbox" name="agree" value="terms" required>' +
+		'<input type="checkbox" name="agree" value="news">' +
+		'<input type="radio" name="plan" value="free">' +
+		'<input type="radio" name="plan" value="paid" required>' +
+		'<input type="submit" name="go">' +
+	'</form>';
+
+test('only the fields of the given form are read', function(){
+	assert.deepStrictEqual(Object.keys(RegX.getSchema(PAGE, 'signup')), ['email', 'agree', 'plan']);
+	assert.deepStrictEqual(Object.keys(RegX.getSchema(PAGE)), ['q']);
+	assert.deepStrictEqual(RegX.getSchema(PAGE, 'missing'), {});
+	//Partial templates have no form.
+	assert.deepStrictEqual(RegX.getSchema('<input name="q" maxlength="5">'), {q: {maxlength: '5', type: 'text'}});
+});
+
+test('fields inside comments are left out', function(){
+	assert.strictEqual(RegX.getSchema(PAGE, 'signup').hasOwnProperty('nickname'), false);
+	assert.deepStrictEqual(RegX.getSchema('<!-- <form id="old"></form> --><form><input name="a"></form>'), {a: {type: 'text'}});
+});
+
+test('radio groups are merged, checkboxes sharing a name are checked one by one', function(){
+	var schema = RegX.getSchema(PAGE, 'signup');
+	
+	assert.deepStrictEqual(schema.plan, {type: 'radio', required: true});
+	assert.deepStrictEqual(schema.agree, {type: 'checkbox', checkboxes: [
+		{type: 'checkbox', required: true, value: 'terms'},
+		{type: 'checkbox', value: 'news'}
+	]});
+	
+	assert.deepStrictEqual(RegX.validatePayload({email: 'a@b.co', agree: 'terms', plan: 'free'}, schema), []);
+	assert.deepStrictEqual(RegX.validatePayload({email: 'a@b.co', agree: ['news', 'terms'], plan: 'free'}, schema), []);
+	//Only the terms box is required, ticking the other one doesn't do.
+	assert.deepStrictEqual(RegX.validatePayload({email: 'a@b.co', agree: 'news', plan: 'free'}, schema).map(function(error){ return error.name + ' ' + error.error; }), ['agree valueMissing']);
+});
@@ -0,0 +1,124 @@
+/**
+* Tests of USE_SERVER_VALIDATION, against a stub of RegX.transport. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+var transport = RegX.transport;
+
+//Set up a form validated by the server, recording what its callbacks were called with
+function signup(email){
+	var $form = dom.createForm({'data-regx-server': '/validate'}, [
+			{name: 'email', type: 'email', value: email, required: true},
+			{name: 'nickname', value: 'ann'}
+		]),
+		calls = [];
+	
+	RegX.create($form, {
+		USE_SERVER_VALIDATION: true,
+		SERVER_VALIDATION_TIMEOUT: 1000,
+		onSuccess: function(){ calls.push('success'); },
+		onFailure: function(e, errors){
+			calls.push(errors.map(function(error){ return error.name + ' ' + error.error; }));
+			return false;
+		}
+	});
+	return {$form: $form, calls: calls};
+}
+
+test.afterEach(function(){
+	RegX.transport = transport;
+});
+
+test('the form is posted to the server and submitted when it answers without errors', function(){
+	var form = signup('a@b.co'),
+		request = null;
+	
+	RegX.transport = function(req, callback){
+		request = req;
+		callback(null, '[]');
+	};
+	assert.strictEqual(dom.submit(form.$form).defaultPrevented, true);
+	assert.deepStrictEqual(request, {method: 'POST', url: '/validate', body: 'email=a%40b.co&nickname=ann', timeout: 1000});
+	assert.deepStrictEqual(form.calls, ['success']);
+	assert.strictEqual(form.$form.submitted, 1);
+});
+
+test('the errors the server answers with are passed to onFailure', function(){
+	var form = signup('a@b.co');
+	
+	RegX.transport = function(req, callback){
+		callback(null, [{name: 'nickname', type: 'text', value: 'ann', msg: 'Taken.', error: 'customError', error_msg: 'Taken.'}]);
+	};
+	dom.submit(form.$form);
+	assert.deepStrictEqual(form.calls, [['nickname customError']]);
+	assert.strictEqual(form.$form.submitted, 0);
+});
+
+test('answers that are not an ERRORS array fall back to validating locally', function(){
+	var form = signup('a@b.');
+	
+	RegX.transport = function(req, callback){
+		callback(null, '<html>Bad gateway</html>');
+	};
+	dom.submit(form.$form);
+	assert.deepStrictEqual(form.calls, [['email typeMismatch']]);
+});
+
+test('failed requests fall back to validating locally', function(){
+	var form = signup('a@b.co');
+	
+	RegX.transport = function(req, callback){
+		callback({status: 500}, 'Internal Server Error');
+	};
+	dom.submit(form.$form);
+	assert.deepStrictEqual(form.calls, ['success']);
+	assert.strictEqual(form.$form.submitted, 1);
+});
+
+test('requests that time out are aborted and the form is validated locally', function(t){
+	var form = signup('a@b.'),
+		aborted = 0;
+	
+	t.mock.timers.enable({apis: ['setTimeout']});
+	RegX.transport = function(){
+		return function(){ aborted++; };
+	};
+	dom.submit(form.$form);
+	assert.deepStrictEqual(form.calls, []);
+	t.mock.timers.tick(1000);
+	assert.strictEqual(aborted, 1);
+	assert.deepStrictEqual(form.calls, [['email typeMismatch']]);
+});
+
+test('the default transport gives up after the timeout of the request', function(){
+	var requests = [],
+		answer = null;
+	
+	function FakeXHR(){
+		this.headers = {};
+		requests.push(this);
+	}
+	FakeXHR.prototype = {
+		open: function(method, url){ this.method = method; this.url = url; },
+		setRequestHeader: function(name, value){ this.headers[name] = value; },
+		send: function(body){ this.body = body; },
+		abort: function(){}
+	};
+	global.window = {XMLHttpRequest: FakeXHR};
+	global.XMLHttpRequest = FakeXHR;
+	try{
+		RegX.transport({method: 'POST', url: '/validate', body: 'a=1', timeout: 2500}, function(err){ answer = err; });
+	} finally {
+		delete global.window;
+		delete global.XMLHttpRequest;
+	}
+	assert.strictEqual(requests[0].timeout, 2500);
+	//Timed out requests end without a status.
+	requests[0].readyState = 4;
+	requests[0].status = 0;
+	requests[0].onreadystatechange();
+	assert.deepStrictEqual(answer, {status: 0});
+});
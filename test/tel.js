@@ -0,0 +1,27 @@
+/**
+* Tests of the telephone number validation of USE_BETTER_VALIDATION. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+test('international numbers are checked against the metadata of their calling code', function(){
+	assert.strictEqual(RegX.formatE164('+44 20 7946 0958'), '+442079460958');
+	assert.strictEqual(RegX.formatE164('0044 20 7946 0958'), '+442079460958');
+	assert.strictEqual(RegX.formatE164('+44 123'), false);
+	assert.strictEqual(RegX.validateValue('tel', '+1 555 01').error, 'typeMismatch');
+});
+
+test('calling codes without metadata are only checked against the length limit of E.164', function(){
+	assert.strictEqual(RegX.formatE164('+421 2 1234 5678'), '+421212345678');
+	assert.strictEqual(RegX.formatE164('+372 5123 4567'), '+37251234567');
+	assert.strictEqual(RegX.validateValue('tel', '+421 2 1234 5678'), true);
+	assert.strictEqual(RegX.validateValue('tel', '+372 5123 4567'), true);
+	assert.strictEqual(RegX.validateValue('tel', '+372 5123 4567 8901 23').error, 'typeMismatch');
+});
+
+test('national numbers need a country', function(){
+	assert.strictEqual(RegX.formatE164('020 7946 0958', 'GB'), '+442079460958');
+	assert.strictEqual(RegX.formatE164('020 7946 0958'), null);
+	assert.strictEqual(RegX.validateValue('tel', '020 7946 0958'), true);
+});
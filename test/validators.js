@@ -0,0 +1,84 @@
+/**
+* Tests of RegX.addValidator and RegX.addType. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+var calls = [];
+
+RegX.addType('postcode', function(value){
+	calls.push(value);
+	if(!/^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i.test(value)){
+		throw {type: 'typeMismatch', msg: 'This is not a valid postcode.'};
+	}
+});
+RegX.addValidator('iban', function(value){
+	calls.push(value);
+	if(!/^[A-Z]{2}\d{2}[A-Z\d]{11,30}$/.test(value)){
+		throw {type: 'typeMismatch', msg: 'This is not a valid IBAN.'};
+	}
+}, {sanitize: function(value){ return value.replace(/\s+/g, '').toUpperCase(); }});
+RegX.addType('iban', 'iban');
+
+function field(attrs){
+	return dom.createForm({}, [attrs]).elements[0];
+}
+
+test('registered types are picked up from the type and data-regx-type attributes', function(){
+	assert.strictEqual(RegX.checkValidity(field({name: 'zip', 'data-regx-type': 'postcode', value: 'SW1A 1AA'})), true);
+	assert.strictEqual(RegX.checkValidity(field({name: 'zip', type: 'postcode', value: '12345'}), true).msg, 'This is not a valid postcode.');
+	assert.strictEqual(RegX.validateValue('postcode', 'nope').error, 'typeMismatch');
+});
+
+test('validators get the sanitized value', function(){
+	calls = [];
+	assert.strictEqual(RegX.checkValidity(field({name: 'iban', 'data-regx-type': 'iban', value: ' gb82 west 1234 5698 7654 32 '})), true);
+	assert.deepStrictEqual(calls, ['GB82WEST12345698765432']);
+});
+
+test('validators are only called for fields that have a value, and required empty fields fail with valueMissing', function(){
+	calls = [];
+	assert.strictEqual(RegX.checkValidity(field({name: 'zip', 'data-regx-type': 'postcode', value: ''})), true);
+	assert.strictEqual(RegX.checkValidity(field({name: 'zip', 'data-regx-type': 'postcode', value: '', required: true}), true).error, 'valueMissing');
+	assert.deepStrictEqual(calls, []);
+});
+
+test('RegX.validateForm and submissions check each field once', function(){
+	var $form = dom.createForm({}, [
+			{name: 'zip', 'data-regx-type': 'postcode', value: '12345'},
+			{name: 'nickname', value: 'ann'}
+		]),
+		invalid = 0;
+	
+	calls = [];
+	$form.addEventListener('regx:invalid', function(){ invalid++; });
+	return RegX.validateForm($form).then(function(result){
+		assert.strictEqual(result.valid, false);
+		assert.deepStrictEqual(calls, ['12345']);
+		assert.strictEqual(invalid, 1);
+		
+		calls = [];
+		RegX.create($form, {onFailure: function(){ return false; }});
+		dom.submit($form);
+		assert.deepStrictEqual(calls, ['12345']);
+		assert.strictEqual(invalid, 2);
+		RegX.unbind($form);
+	});
+});
+
+test('validators replacing a built-in one are only called for fields that have a value as well', function(){
+	calls = [];
+	RegX.addValidator('url', function(value){
+		calls.push(value);
+		if(!/^https:\/\//.test(value)){
+			throw {type: 'typeMismatch', msg: 'Please use a secure address.'};
+		}
+	});
+	assert.strictEqual(RegX.checkValidity(field({name: 'site', type: 'url', value: 'http://example.com'}), true).msg, 'Please use a secure address.');
+	assert.strictEqual(RegX.checkValidity(field({name: 'site', type: 'url', value: 'https://example.com'})), true);
+	assert.strictEqual(RegX.checkValidity(field({name: 'site', type: 'url', value: ''})), true);
+	assert.strictEqual(RegX.checkValidity(field({name: 'site', type: 'url', value: '', required: true}), true).error, 'valueMissing');
+	assert.deepStrictEqual(calls, ['http://example.com', 'https://example.com']);
+});
@@ -0,0 +1,34 @@
+/**
+* Tests of the ValidityState of RegX.getValidity. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	dom = require('./helpers/dom.js'),
+	RegX = require('../RegX.js');
+
+var FLAGS = ['valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort', 'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError', 'valid'];
+
+function passwords(confirm){
+	return dom.createForm({}, [
+		{name: 'password', id: 'password', value: 'secret'},
+		{name: 'confirm', value: confirm, 'data-regx-equalto': '#password', maxlength: '3'}
+	]);
+}
+
+test('valid fields have every flag of the spec and nothing else', function(){
+	var validity = RegX.getValidity(passwords('secret').elements[0]);
+	
+	assert.deepStrictEqual(Object.keys(validity).sort(), FLAGS.concat('regxReasons').sort());
+	assert.strictEqual(validity.valid, true);
+	assert.deepStrictEqual(validity.regxReasons, []);
+});
+
+test('errors RegX adds to the spec flag customError and are listed as reasons', function(){
+	var validity = RegX.getValidity(passwords('other').elements[1]);
+	
+	assert.strictEqual(validity.valid, false);
+	assert.strictEqual(validity.customError, true);
+	assert.strictEqual(validity.tooLong, true);
+	assert.strictEqual(validity.hasOwnProperty('equalToMismatch'), false);
+	assert.deepStrictEqual(validity.regxReasons, ['equalToMismatch']);
+});
@@ -0,0 +1,29 @@
+/**
+* Tests of RegX.validateValue, which validates values without a DOM. Run them with: node --test test/*.js
+*/
+var test = require('node:test'),
+	assert = require('node:assert'),
+	RegX = require('../RegX.js');
+
+test('values are checked against their type and constraints', function(){
+	assert.strictEqual(RegX.validateValue('email', 'test@email.co', {required: true}), true);
+	assert.strictEqual(RegX.validateValue('email', 'test@email.', {required: true}).error, 'typeMismatch');
+	assert.strictEqual(RegX.validateValue('text', '', {required: true, name: 'title'}).name, 'title');
+	assert.strictEqual(RegX.validateValue('number', '12', {min: 1, max: 10}).error, 'rangeOverflow');
+});
+
+test('without a min, the step base of dates is January 1, 1970', function(){
+	var error = RegX.validateValue('date', '2020-01-04', {step: 3});
+	
+	assert.strictEqual(error.error, 'stepMismatch');
+	assert.strictEqual(error.error_params.base, 'January 1, 1970');
+	assert.strictEqual(RegX.validateValue('date', '2020-01-03', {step: 3}), true);
+});
+
+test('the value constraint is the default value step bases are taken from, like the value attribute', function(){
+	assert.strictEqual(RegX.validateValue('week', '2020-W03', {step: 2, value: '2020-W01'}), true);
+	assert.strictEqual(RegX.validateValue('week', '2020-W02', {step: 2, value: '2020-W01'}).error_params.base, '2020-W01');
+	assert.strictEqual(RegX.validateValue('month', '2020-04', {step: 2, value: '2020-01'}).error, 'stepMismatch');
+	//The value being checked is not its own step base.
+	assert.strictEqual(RegX.validateValue('month', '1970-04', {step: 2}).error, 'stepMismatch');
+});